@@ -1,27 +1,147 @@
 #!/usr/bin/env node
-// Bundle CT scan data into a single JSON file for deployment
+// Bundle CT scan data for deployment. Validates every scan file, reports the
+// ones that fail and why, drops duplicate timestamps, and writes a JSON,
+// NDJSON or gzipped NDJSON bundle with a manifest next to it.
+//
+//   node bundle-data.js [--data DIR] [--out FILE] [--format json|ndjson]
+//                       [--gzip] [--days N] [--append] [--strict]
+//
+// --out picks the format from its extension (.json, .ndjson, .ndjson.gz);
+// --format/--gzip pick the default file name instead. --days keeps only
+// scans from the last N days before the newest one. --append adds scans
+// that aren't in an existing NDJSON bundle yet rather than rewriting it
+// (a windowed bundle keeps its start; rebuild to move the window).
+// --strict exits non-zero when any file failed validation.
+
 const fs = require('fs');
 const path = require('path');
+const { bundleKind, streamBundle, writeBundle, checkScan, readManifest, readScanDir } = require('./lib/bundle');
 
-const DATA_DIR = path.join(process.env.HOME || '/root', 'ct-scanner/data');
-const OUT = path.join(__dirname, 'scans-bundle.json');
-
-const files = fs.readdirSync(DATA_DIR)
-  .filter(f => f.endsWith('.json'))
-  .sort();
+function usage(message) {
+  if (message) console.error(`bundle-data: ${message}`);
+  console.error('usage: node bundle-data.js [--data DIR] [--out FILE] [--format json|ndjson] [--gzip] [--days N] [--append] [--strict]');
+  process.exit(2);
+}
 
-const scans = [];
-let errors = 0;
+function parseArgs(argv) {
+  const opts = {
+    data: path.join(process.env.HOME || '/root', 'ct-scanner/data'),
+    out: null,
+    format: 'json',
+    gzip: false,
+    days: null,
+    append: false,
+    strict: false
+  };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const value = () => {
+      if (i + 1 >= argv.length) usage(`${arg} needs a value`);
+      return argv[++i];
+    };
+    switch (arg) {
+      case '--data': opts.data = value(); break;
+      case '--out': opts.out = value(); break;
+      case '--format': opts.format = value(); break;
+      case '--gzip': opts.gzip = true; break;
+      case '--days': opts.days = Number(value()); break;
+      case '--append': opts.append = true; break;
+      case '--strict': opts.strict = true; break;
+      case '-h': case '--help': usage(); break;
+      default: usage(`unknown option ${arg}`);
+    }
+  }
+  if (!['json', 'ndjson'].includes(opts.format)) usage('--format must be json or ndjson');
+  if (opts.days !== null && !(opts.days > 0)) usage('--days must be a number > 0');
+  if (opts.append && opts.days !== null) usage('--days rewrites the bundle; it cannot be combined with --append');
+  opts.out = opts.out || path.join(__dirname, `scans-bundle.${opts.format}${opts.gzip ? '.gz' : ''}`);
+  if (opts.append && bundleKind(opts.out).format !== 'ndjson') usage('--append needs an NDJSON bundle');
+  return opts;
+}
 
-for (const f of files) {
+// Every scan file in the data dir, validated, oldest file name first
+function readDataDir(dir) {
   try {
-    const data = JSON.parse(fs.readFileSync(path.join(DATA_DIR, f)));
-    scans.push(data);
+    return readScanDir(dir);
   } catch (e) {
-    errors++;
+    usage(`cannot read data dir ${dir}: ${e.message}`);
+  }
+}
+
+// First file wins for each timestamp
+function dedupe(entries) {
+  const seen = new Map();
+  const kept = [];
+  const duplicates = [];
+  for (const e of entries) {
+    const first = seen.get(e.scan.ts);
+    if (first) {
+      duplicates.push({ file: e.file, timestamp: e.scan.timestamp, keeps: first });
+      continue;
+    }
+    seen.set(e.scan.ts, e.file);
+    kept.push(e);
+  }
+  return { kept, duplicates };
+}
+
+async function main() {
+  const opts = parseArgs(process.argv.slice(2));
+  const { files, entries, failures } = readDataDir(opts.data);
+
+  let { kept, duplicates } = dedupe(entries);
+  kept.sort((a, b) => a.scan.ts - b.scan.ts);
+
+  // Appending: skip what the bundle already holds, and keep a windowed
+  // bundle's start where it was
+  const existing = [];
+  let previous = null;
+  let bundled = 0;
+  let cutoff = null;
+  if (opts.append && fs.existsSync(opts.out)) {
+    previous = readManifest(opts.out);
+    await streamBundle(opts.out, (raw, i) => {
+      const { scan } = checkScan(raw, `bundle[${i}]`);
+      if (scan) existing.push(scan);
+    });
+    const have = new Set(existing.map(s => s.ts));
+    bundled = kept.filter(e => have.has(e.scan.ts)).length;
+    kept = kept.filter(e => !have.has(e.scan.ts));
+    if (previous?.days && previous.from) cutoff = Date.parse(previous.from);
+  } else if (opts.days !== null && kept.length) {
+    cutoff = kept[kept.length - 1].scan.ts - opts.days * 24 * 3600 * 1000;
+  }
+  let dropped = 0;
+  if (cutoff !== null) {
+    dropped = kept.filter(e => e.scan.ts < cutoff).length;
+    kept = kept.filter(e => e.scan.ts >= cutoff);
   }
+  const days = opts.days ?? previous?.days ?? null;
+
+  for (const f of failures) console.error(`✗ ${f.file}: ${f.errors.join('; ')}`);
+  for (const d of duplicates) console.error(`= ${d.file}: duplicate of ${d.keeps} (${d.timestamp})`);
+
+  if (opts.append && !kept.length && fs.existsSync(opts.out)) {
+    console.log(`No new scans; ${opts.out} unchanged (${previous?.count ?? existing.length} scans)`);
+  } else {
+    const manifest = await writeBundle(opts.out, kept.map(e => e.raw), {
+      scans: existing.concat(kept.map(e => e.scan)),
+      append: opts.append && fs.existsSync(opts.out),
+      extra: { days }
+    });
+    console.log(`${opts.append ? 'Appended' : 'Bundled'} ${kept.length} scans → ${opts.out}`);
+    console.log(`Manifest: ${manifest.count} scans, ${manifest.from} → ${manifest.to}, formats ${JSON.stringify(manifest.formats)}`);
+    console.log(`Size: ${(manifest.bytes / 1024 / 1024).toFixed(2)}MB · sha256 ${manifest.sha256.slice(0, 16)}…`);
+  }
+  const notes = [`${failures.length} invalid`, `${duplicates.length} duplicate`];
+  if (opts.append) notes.push(`${bundled} already bundled`);
+  if (days !== null) notes.push(`${dropped} older than the ${days}d window`);
+  console.log(`${files} files: ${notes.join(', ')}`);
+
+  if (opts.strict && failures.length) process.exit(1);
 }
 
-fs.writeFileSync(OUT, JSON.stringify(scans));
-console.log(`Bundled ${scans.length} scans (${errors} errors) → ${OUT}`);
-console.log(`Size: ${(fs.statSync(OUT).size / 1024 / 1024).toFixed(1)}MB`);
+main().catch(e => {
+  console.error(`bundle-data: ${e.message}`);
+  process.exit(1);
+});
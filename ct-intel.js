@@ -0,0 +1,310 @@
+#!/usr/bin/env node
+// Offline CT intelligence: briefs, tickers and the fear gauge straight from a
+// data dir or bundle, without the HTTP server. Same analytics as the API
+// (lib/intel), so a cron job gets the brief the dashboard would show.
+//
+//   ct-intel brief    [window] [--format md|text|json] [--compact]
+//   ct-intel tickers  [window] [--top N] [--class CLASS] [--format text|json|csv]
+//   ct-intel fear     [window] [--format text|json]
+//   ct-intel validate
+//
+// Source: --data DIR (scanner output) or --bundle FILE; by default the same
+// as the server (CT_DATA_DIR, falling back to the bundle next to this file).
+// Window: --hours N (24), --as-of TIME|latest, or --from TIME --to TIME.
+// --unfiltered turns the spam filter off; --strict fails on any scan that
+// doesn't parse.
+//
+// Exit codes: 0 ok, 1 invalid data or nothing in the window, 2 usage.
+
+const fs = require('fs');
+const path = require('path');
+const { createScanStore } = require('./lib/store');
+const { createTickerRegistry, ASSET_CLASSES } = require('./lib/registry');
+const { watchNarrativeConfig } = require('./lib/narratives');
+const spam = require('./lib/spam');
+const exporter = require('./lib/export');
+const { createIntel } = require('./lib/intel');
+const { findBundle, streamBundle, readManifest, readScanDir, checkScan } = require('./lib/bundle');
+
+const COMMANDS = ['brief', 'tickers', 'fear', 'validate'];
+const FORMATS = {
+  brief: ['md', 'text', 'json'],
+  tickers: ['text', 'json', 'csv'],
+  fear: ['text', 'json'],
+  validate: ['text', 'json']
+};
+
+class UsageError extends Error {}
+
+// Command output goes to `out`; load progress and warnings from the store
+// and config loaders go to stderr, so output can be piped
+function print(out, text) {
+  out.write(text + '\n');
+}
+
+function log(text) {
+  process.stderr.write(text + '\n');
+}
+
+function usage() {
+  return [
+    'usage: ct-intel <command> [options]',
+    '',
+    'commands:',
+    '  brief      the brief for a window (--format md|text|json, --compact)',
+    '  tickers    top tickers (--top N, --class CLASS, --format text|json|csv)',
+    '  fear       fear gauge reading and its components (--format text|json)',
+    '  validate   check every scan in the source; exits 1 if any is invalid',
+    '',
+    'source:  --data DIR | --bundle FILE',
+    'window:  --hours N | --as-of TIME|latest | --from TIME --to TIME',
+    'other:   --unfiltered  --strict  -h, --help'
+  ].join('\n');
+}
+
+function parseArgs(argv) {
+  const opts = {
+    command: null,
+    data: null,
+    bundle: null,
+    window: {},
+    format: null,
+    top: 20,
+    assetClass: null,
+    compact: false,
+    strict: false
+  };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const value = () => {
+      if (i + 1 >= argv.length) throw new UsageError(`${arg} needs a value`);
+      return argv[++i];
+    };
+    switch (arg) {
+      case '--data': opts.data = value(); break;
+      case '--bundle': opts.bundle = value(); break;
+      case '--hours': opts.window.hours = value(); break;
+      case '--as-of': case '--asOf': opts.window.asOf = value(); break;
+      case '--from': opts.window.from = value(); break;
+      case '--to': opts.window.to = value(); break;
+      case '--unfiltered': opts.window.unfiltered = '1'; break;
+      case '--format': opts.format = value(); break;
+      case '--top': opts.top = Number(value()); break;
+      case '--class': opts.assetClass = value(); break;
+      case '--compact': opts.compact = true; break;
+      case '--strict': opts.strict = true; break;
+      case '-h': case '--help': opts.command = 'help'; break;
+      default:
+        if (arg.startsWith('-') || opts.command) throw new UsageError(`unknown argument ${arg}`);
+        opts.command = arg;
+    }
+  }
+  if (opts.command === 'help') return opts;
+  if (!opts.command) throw new UsageError('a command is required');
+  if (!COMMANDS.includes(opts.command)) throw new UsageError(`unknown command ${opts.command}`);
+  opts.format = opts.format || FORMATS[opts.command][0];
+  if (!FORMATS[opts.command].includes(opts.format)) {
+    throw new UsageError(`${opts.command} --format must be one of ${FORMATS[opts.command].join(', ')}`);
+  }
+  if (opts.data && opts.bundle) throw new UsageError('--data and --bundle are exclusive');
+  if (!(Number.isInteger(opts.top) && opts.top > 0)) throw new UsageError('--top must be an integer > 0');
+  if (opts.assetClass && !ASSET_CLASSES.includes(opts.assetClass)) {
+    throw new UsageError(`--class must be one of ${ASSET_CLASSES.join(', ')}`);
+  }
+  if (opts.window.hours !== undefined && !(Number(opts.window.hours) > 0)) throw new UsageError('--hours must be a number > 0');
+  for (const p of [opts.data, opts.bundle]) {
+    if (p && !fs.existsSync(p)) throw new UsageError(`no such file or directory: ${p}`);
+  }
+  return opts;
+}
+
+// Where scans come from: an explicit dir or bundle, else the server's defaults
+function source(opts) {
+  if (opts.data) return { dataDir: opts.data, bundlePath: null };
+  if (opts.bundle) return { dataDir: null, bundlePath: opts.bundle };
+  return {
+    dataDir: process.env.CT_DATA_DIR || path.join(process.env.HOME || '/root', 'ct-scanner/data'),
+    bundlePath: process.env.CT_BUNDLE_PATH || findBundle(__dirname)
+  };
+}
+
+async function loadIntel(opts) {
+  const store = await createScanStore({ ...source(opts), log }).load();
+  const stateDir = process.env.CT_STATE_DIR || path.join(__dirname, 'state');
+  const registry = createTickerRegistry({
+    configPath: process.env.CT_TICKERS_CONFIG || path.join(__dirname, 'tickers.json'),
+    statePath: path.join(stateDir, 'tickers.json'),
+    log
+  });
+  registry.seed(store.all());
+  const intel = createIntel({
+    store,
+    registry,
+    spamConfig: spam.loadFilterConfig(process.env.CT_SPAM_CONFIG || path.join(__dirname, 'spam.json'), log),
+    narrativeConfig: watchNarrativeConfig(process.env.CT_NARRATIVES_CONFIG || path.join(__dirname, 'narratives.json'), log)
+  });
+  return { store, intel };
+}
+
+// Resolve the window, failing when the source or the window holds no scans
+function windowFor(opts, store, intel) {
+  const status = store.status();
+  if (status.failures.length) {
+    console.error(`ct-intel: ${status.failures.length} scan(s) failed to parse (see ct-intel validate)`);
+    if (opts.strict) return { code: 1 };
+  }
+  if (!status.scans) {
+    console.error('ct-intel: no valid scans in the source');
+    return { code: 1 };
+  }
+  const query = { ...opts.window };
+  if (query.asOf === 'latest') query.asOf = status.newest;
+  let window;
+  try {
+    window = intel.parseWindow(query);
+  } catch (e) {
+    throw new UsageError(e.message);
+  }
+  if (!intel.loadScans(window).length) {
+    console.error(`ct-intel: no scans between ${new Date(window.from).toISOString()} and ${new Date(window.to).toISOString()} (newest is ${status.newest}; try --as-of latest)`);
+    return { code: 1 };
+  }
+  return { window };
+}
+
+function padded(rows) {
+  const widths = rows[0].map((_, i) => Math.max(...rows.map(r => String(r[i]).length)));
+  return rows.map(r => r.map((c, i) => String(c).padEnd(widths[i])).join('  ').trimEnd()).join('\n');
+}
+
+// ── Commands ─────────────────────────────────────────────
+
+function brief(opts, intel, window) {
+  const b = intel.generateBrief(window);
+  if (opts.compact) {
+    const c = intel.compactBrief(b);
+    if (opts.format === 'json') return JSON.stringify(c, null, 2);
+    return `${c.regime} · ${c.sentiment} (${c.ratio}, ${c.trend}) · fear ${c.fear} · ${c.topTickers} · ${c.scans} scans`;
+  }
+  if (opts.format === 'md') return exporter.briefToMarkdown(b);
+  if (opts.format === 'text') return exporter.briefToText(b);
+  return JSON.stringify(b, null, 2);
+}
+
+function tickers(opts, intel, window) {
+  const list = intel.extractTickers(intel.signalScans(window), { assetClass: opts.assetClass, limit: opts.top });
+  if (opts.format === 'json') return JSON.stringify(list, null, 2);
+  if (opts.format === 'csv') return exporter.toCsv(list, ['name', 'mentions', 'class']).trimEnd();
+  if (!list.length) return 'No tickers in this window';
+  return padded([['#', 'TICKER', 'MENTIONS', 'CLASS'], ...list.map((t, i) => [i + 1, '$' + t.name, t.mentions, t.class || '—'])]);
+}
+
+function fear(opts, intel, window) {
+  const reading = intel.fearReading(window);
+  const commodities = intel.extractCommodities(intel.loadScans(window));
+  if (opts.format === 'json') {
+    return JSON.stringify({
+      from: new Date(window.from).toISOString(),
+      to: new Date(window.to).toISOString(),
+      gauge: reading.label,
+      ...reading,
+      commodities
+    }, null, 2);
+  }
+  const lines = [`Fear: ${reading.label}${reading.score === null ? '' : ` (${reading.score}/100)`} · ${reading.scans} scans · ${window.hours}h to ${new Date(window.to).toISOString()}`];
+  if (!reading.calibration.calibrated) lines.push(`Note: only ${reading.calibration.windows} reference windows; the score is rough`);
+  const components = Object.entries(reading.components);
+  if (components.length) {
+    lines.push('', padded([['COMPONENT', 'VALUE', 'PERCENTILE', 'WEIGHT'], ...components.map(([k, c]) => [k, c.value, `p${Math.round(c.percentile)}`, c.weight])]));
+  }
+  if (commodities.length) lines.push('', `Macro: ${commodities.slice(0, 8).map(c => `${c.name} ${c.mentions}`).join(' · ')}`);
+  return lines.join('\n');
+}
+
+// Checks the chosen source file by file (data dir) or scan by scan (bundle,
+// plus its manifest checksum). Any problem exits 1.
+async function validate(opts, out) {
+  const { dataDir, bundlePath } = source(opts);
+  const useDir = opts.data || (!opts.bundle && dataDir && fs.existsSync(dataDir));
+  const problems = [];
+  const seen = new Map();
+  let total = 0;
+  let checksum = null;
+  const note = (where, scan) => {
+    if (seen.has(scan.ts)) problems.push({ where, errors: [`duplicate timestamp ${scan.timestamp} (also in ${seen.get(scan.ts)})`], duplicate: true });
+    else seen.set(scan.ts, where);
+  };
+
+  if (useDir) {
+    const { files, entries, failures } = readScanDir(dataDir);
+    total = files;
+    for (const f of failures) problems.push({ where: f.file, errors: f.errors });
+    for (const e of entries) note(e.file, e.scan);
+  } else {
+    if (!bundlePath || !fs.existsSync(bundlePath)) {
+      console.error('ct-intel: no data dir or bundle to validate');
+      return 1;
+    }
+    const manifest = readManifest(bundlePath);
+    const sha256 = await streamBundle(bundlePath, (raw, i) => {
+      total++;
+      const { scan, errors } = checkScan(raw, `bundle[${i}]`);
+      if (errors) problems.push({ where: `bundle[${i}]`, errors });
+      else note(`bundle[${i}]`, scan);
+    }, (e, i) => {
+      total++;
+      problems.push({ where: `bundle[${i}]`, errors: [`not valid JSON: ${e.message}`] });
+    });
+    if (manifest) {
+      checksum = manifest.sha256 === sha256;
+      if (!checksum) problems.push({ where: path.basename(bundlePath), errors: ['checksum does not match its manifest'] });
+    }
+  }
+
+  // A repeated timestamp is reported, but only broken scans fail the run
+  const failed = problems.filter(p => !p.duplicate);
+  const result = {
+    source: useDir ? dataDir : bundlePath,
+    scans: total,
+    valid: seen.size,
+    invalid: failed.length,
+    duplicates: problems.length - failed.length,
+    checksum,
+    problems: problems.map(({ where, errors }) => ({ where, errors }))
+  };
+  if (opts.format === 'json') {
+    print(out, JSON.stringify(result, null, 2));
+  } else {
+    for (const p of problems) console.error(`${p.duplicate ? '=' : '✗'} ${p.where}: ${p.errors.join('; ')}`);
+    print(out, `${result.source}: ${total} scans, ${result.valid} valid, ${result.invalid} invalid, ${result.duplicates} duplicate${checksum === null ? '' : `, checksum ${checksum ? 'ok' : 'MISMATCH'}`}`);
+  }
+  return failed.length ? 1 : 0;
+}
+
+async function main(argv, out) {
+  const opts = parseArgs(argv);
+  if (opts.command === 'help') {
+    print(out, usage());
+    return 0;
+  }
+  if (opts.command === 'validate') return validate(opts, out);
+
+  const { store, intel } = await loadIntel(opts);
+  const { window, code } = windowFor(opts, store, intel);
+  if (!window) return code;
+  const render = { brief, tickers, fear }[opts.command];
+  print(out, render(opts, intel, window).trimEnd());
+  return 0;
+}
+
+main(process.argv.slice(2), process.stdout).then(code => {
+  process.exitCode = code;
+}).catch(e => {
+  if (e instanceof UsageError) {
+    console.error(`ct-intel: ${e.message}\n\n${usage()}`);
+    process.exitCode = 2;
+    return;
+  }
+  console.error(`ct-intel: ${e.message}`);
+  process.exitCode = 1;
+});
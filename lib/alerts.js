@@ -0,0 +1,268 @@
+// Alert rules engine — rules come from a JSON config file or the
+// /api/alerts CRUD API, are evaluated whenever new scans are ingested, and
+// fire signed JSON webhooks. Rules are edge-triggered: a condition fires
+// when it becomes true (or its value changes), then stays quiet for
+// `cooldownMinutes`.
+
+const crypto = require('crypto');
+const { readJson, writeJson } = require('./state');
+
+const FEAR_LEVELS = ['LOW', 'MODERATE', 'ELEVATED', 'HIGH', 'EXTREME'];
+const RULE_TYPES = ['regime-change', 'fear', 'ticker-rate', 'new-ticker'];
+const HISTORY_LIMIT = 500;
+const RULE_DEFAULTS = { windowHours: 24, cooldownMinutes: 60, enabled: true, webhooks: [] };
+
+class RuleError extends Error {}
+
+// ── Rules ────────────────────────────────────────────────
+
+function validateRule(input) {
+  if (!input || typeof input !== 'object') throw new RuleError('rule must be an object');
+  const rule = { ...RULE_DEFAULTS, ...input };
+  if (!RULE_TYPES.includes(rule.type)) {
+    throw new RuleError(`type must be one of ${RULE_TYPES.join(', ')}`);
+  }
+  if (!(rule.windowHours > 0)) throw new RuleError('windowHours must be > 0');
+  if (!(rule.cooldownMinutes >= 0)) throw new RuleError('cooldownMinutes must be >= 0');
+  if (!Array.isArray(rule.webhooks) || rule.webhooks.some(u => !/^https?:\/\//.test(u))) {
+    throw new RuleError('webhooks must be a list of http(s) URLs');
+  }
+  if (rule.type === 'regime-change' && rule.to !== undefined && !Array.isArray(rule.to)) {
+    throw new RuleError('to must be a list of regime labels');
+  }
+  if (rule.type === 'fear' && !FEAR_LEVELS.includes(rule.gte)) {
+    throw new RuleError(`gte must be one of ${FEAR_LEVELS.join(', ')}`);
+  }
+  if (rule.type === 'ticker-rate') {
+    if (typeof rule.ticker !== 'string' || !rule.ticker) throw new RuleError('ticker is required');
+    if (!(rule.gt >= 0)) throw new RuleError('gt (mentions per scan) must be a number >= 0');
+    rule.ticker = rule.ticker.replace(/^\$/, '').toUpperCase();
+  }
+  if (rule.type === 'new-ticker' && rule.top !== undefined && !(rule.top > 0)) {
+    throw new RuleError('top must be > 0');
+  }
+  rule.name = rule.name || defaultName(rule);
+  return rule;
+}
+
+function defaultName(rule) {
+  switch (rule.type) {
+    case 'regime-change': return rule.to ? `Regime changes to ${rule.to.join('/')}` : 'Regime changes';
+    case 'fear': return `Fear >= ${rule.gte}`;
+    case 'ticker-rate': return `$${rule.ticker} mentions per scan > ${rule.gt}`;
+    case 'new-ticker': return `New ticker in top ${rule.top || 10}`;
+  }
+}
+
+// Returns { fingerprint, message, data } when the rule's condition holds,
+// null otherwise. `state.last` carries whatever the rule needs to compare
+// against on the next evaluation.
+function check(rule, snap, state) {
+  switch (rule.type) {
+    case 'regime-change': {
+      // An empty window says nothing about the regime; keep the last one
+      if (snap.regime === 'NO DATA') return null;
+      const prev = state.last;
+      state.last = snap.regime;
+      if (!prev || prev === snap.regime) return null;
+      if (rule.to && !rule.to.includes(snap.regime)) return null;
+      return {
+        fingerprint: `${prev}->${snap.regime}`,
+        message: `Regime changed ${prev} → ${snap.regime}`,
+        data: { from: prev, to: snap.regime }
+      };
+    }
+    case 'fear': {
+      if (FEAR_LEVELS.indexOf(snap.fear) < FEAR_LEVELS.indexOf(rule.gte)) return null;
+      return {
+        fingerprint: `fear:${snap.fear}`,
+        message: `Fear gauge at ${snap.fear}`,
+        data: { fear: snap.fear, threshold: rule.gte }
+      };
+    }
+    case 'ticker-rate': {
+      if (!snap.scans) return null;
+      let mentions = 0;
+      for (const [name, count] of Object.entries(snap.tickers)) {
+        if (name.toUpperCase() === rule.ticker) mentions += count;
+      }
+      const rate = mentions / snap.scans;
+      if (rate <= rule.gt) return null;
+      return {
+        fingerprint: `${rule.ticker}>${rule.gt}`,
+        message: `$${rule.ticker} at ${rate.toFixed(2)} mentions per scan (> ${rule.gt})`,
+        data: { ticker: rule.ticker, mentions, scans: snap.scans, rate: parseFloat(rate.toFixed(3)) }
+      };
+    }
+    case 'new-ticker': {
+      const top = Object.entries(snap.tickers)
+        .sort((a, b) => b[1] - a[1])
+        .slice(0, rule.top || 10)
+        .map(([name]) => name);
+      const prev = state.last;
+      state.last = top;
+      if (!prev) return null;
+      const entered = top.filter(t => !prev.includes(t));
+      if (!entered.length) return null;
+      return {
+        fingerprint: `new:${entered.sort().join(',')}`,
+        message: `New in top ${rule.top || 10}: ${entered.map(t => '$' + t).join(' ')}`,
+        data: { entered, top }
+      };
+    }
+  }
+  return null;
+}
+
+// ── Delivery ─────────────────────────────────────────────
+
+function sign(secret, timestamp, body) {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+async function deliver(url, payload, secret) {
+  const body = JSON.stringify(payload);
+  const timestamp = String(Date.now());
+  const headers = { 'Content-Type': 'application/json', 'X-CT-Timestamp': timestamp };
+  if (secret) headers['X-CT-Signature'] = `sha256=${sign(secret, timestamp, body)}`;
+  try {
+    const res = await fetch(url, { method: 'POST', headers, body, signal: AbortSignal.timeout(10000) });
+    return { url, ok: res.ok, status: res.status };
+  } catch (e) {
+    return { url, ok: false, error: e.message };
+  }
+}
+
+// ── Engine ───────────────────────────────────────────────
+
+// snapshot(windowHours) → { at, scans, regime, fear, tickers } for the
+// window ending at the newest scan.
+function createAlertEngine({ configPath, statePath, snapshot, webhooks = [], secret = null }) {
+  const config = configPath ? readJson(configPath, null) : null;
+  const saved = readJson(statePath, { rules: [], history: [] });
+  const globalHooks = [...webhooks, ...(config?.webhooks || [])];
+
+  const rules = new Map();
+  const ruleState = new Map();
+  let history = saved.history || [];
+
+  for (const r of config?.rules || []) {
+    try {
+      const rule = validateRule(r);
+      rule.id = rule.id || `config-${rules.size + 1}`;
+      rule.source = 'config';
+      rules.set(rule.id, rule);
+    } catch (e) {
+      console.log(`Skipping alert rule in ${configPath}: ${e.message}`);
+    }
+  }
+  for (const r of saved.rules) rules.set(r.id, r);
+
+  function persist() {
+    writeJson(statePath, {
+      rules: [...rules.values()].filter(r => r.source === 'api'),
+      history
+    });
+  }
+
+  function list() {
+    return [...rules.values()];
+  }
+
+  function get(id) {
+    return rules.get(id) || null;
+  }
+
+  function create(input) {
+    const rule = validateRule({ ...input, id: undefined, source: undefined });
+    rule.id = crypto.randomBytes(6).toString('hex');
+    rule.source = 'api';
+    rule.created = new Date().toISOString();
+    rules.set(rule.id, rule);
+    persist();
+    return rule;
+  }
+
+  function editable(id) {
+    const rule = rules.get(id);
+    if (!rule) return null;
+    if (rule.source === 'config') throw new RuleError(`rule ${id} is defined in the config file`);
+    return rule;
+  }
+
+  function update(id, input) {
+    const existing = editable(id);
+    if (!existing) return null;
+    const rule = validateRule({ ...existing, ...input, id, source: 'api', created: existing.created });
+    rules.set(id, rule);
+    ruleState.delete(id);
+    persist();
+    return rule;
+  }
+
+  function remove(id) {
+    if (!editable(id)) return false;
+    rules.delete(id);
+    ruleState.delete(id);
+    persist();
+    return true;
+  }
+
+  // silent: update rule state without firing (used to prime at boot, so a
+  // restart doesn't re-announce conditions that were already true). A
+  // condition held back by the cooldown isn't marked as seen, so it fires
+  // once the cooldown is over if it still holds.
+  async function evaluate({ silent = false, now = Date.now() } = {}) {
+    const snaps = new Map();
+    const fired = [];
+    for (const rule of rules.values()) {
+      if (!rule.enabled) continue;
+      if (!snaps.has(rule.windowHours)) snaps.set(rule.windowHours, snapshot(rule.windowHours));
+      const snap = snaps.get(rule.windowHours);
+      const state = ruleState.get(rule.id) || { last: null, fingerprint: null, lastFiredAt: 0 };
+      ruleState.set(rule.id, state);
+
+      const hit = check(rule, snap, state);
+      const fingerprint = hit?.fingerprint || null;
+      const isNew = hit && fingerprint !== state.fingerprint;
+      if (!isNew) {
+        state.fingerprint = fingerprint;
+        continue;
+      }
+      if (!silent && now - state.lastFiredAt < rule.cooldownMinutes * 60 * 1000) continue;
+      state.fingerprint = fingerprint;
+      if (silent) continue;
+      state.lastFiredAt = now;
+
+      const alert = {
+        id: crypto.randomBytes(8).toString('hex'),
+        rule: { id: rule.id, name: rule.name, type: rule.type },
+        message: hit.message,
+        firedAt: new Date(now).toISOString(),
+        dataAsOf: snap.at,
+        data: hit.data
+      };
+      const targets = [...new Set([...rule.webhooks, ...globalHooks])];
+      alert.deliveries = await Promise.all(targets.map(url => deliver(url, alert, secret)));
+      fired.push(alert);
+    }
+    if (fired.length) {
+      history = fired.concat(history).slice(0, HISTORY_LIMIT);
+      persist();
+      for (const a of fired) console.log(`Alert: ${a.rule.name} — ${a.message}`);
+    }
+    return fired;
+  }
+
+  return {
+    list,
+    get,
+    create,
+    update,
+    remove,
+    evaluate,
+    history: () => history
+  };
+}
+
+module.exports = { FEAR_LEVELS, RULE_TYPES, RuleError, createAlertEngine, sign };
@@ -0,0 +1,236 @@
+// Brief archive — snapshots of the brief taken at fixed UTC times each day
+// and kept on disk, one JSON file per date, so a brief can be compared with
+// the one before it. Missing snapshots inside the scan history are backfilled
+// at startup (replayed as of their scheduled time), so bundle-only deploys
+// have an archive too.
+
+const fs = require('fs');
+const path = require('path');
+const { readJson, writeJson } = require('./state');
+
+const DAY_MS = 24 * 3600 * 1000;
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+const TOP_TICKERS = 15;
+
+// "00:00,12:00" → sorted minutes after midnight UTC; throws on bad input
+function parseTimes(raw) {
+  const times = String(raw).split(',').map(t => t.trim()).filter(Boolean).map(t => {
+    const m = /^(\d{1,2}):(\d{2})$/.exec(t);
+    if (!m || +m[1] > 23 || +m[2] > 59) throw new Error(`invalid snapshot time: ${t} (want HH:MM, UTC)`);
+    return +m[1] * 60 + +m[2];
+  });
+  if (!times.length) throw new Error('at least one snapshot time is required');
+  return [...new Set(times)].sort((a, b) => a - b);
+}
+
+function timeLabel(minutes) {
+  return `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+}
+
+// Scheduled instants in [from, to], oldest first
+function instantsBetween(from, to, times) {
+  const out = [];
+  for (let day = Math.floor(from / DAY_MS) * DAY_MS; day <= to; day += DAY_MS) {
+    for (const t of times) {
+      const at = day + t * 60 * 1000;
+      if (at >= from && at <= to) out.push(at);
+    }
+  }
+  return out;
+}
+
+// ── Diff ─────────────────────────────────────────────────
+
+function ranked(brief) {
+  return brief.tickers.slice(0, TOP_TICKERS).map((t, i) => ({ name: t.name, rank: i + 1, mentions: t.mentions }));
+}
+
+// What changed from `previous` to `current` (both full briefs)
+function diffBriefs(current, previous) {
+  const now = ranked(current);
+  const before = ranked(previous);
+  const beforeBy = Object.fromEntries(before.map(t => [t.name, t]));
+  const nowBy = Object.fromEntries(now.map(t => [t.name, t]));
+
+  const narrativesBefore = new Set(previous.narratives.map(n => n.id));
+  const narrativesNow = new Set(current.narratives.map(n => n.id));
+  const brief = n => ({ id: n.id, type: n.type, label: n.label, strength: n.strength });
+
+  const score = b => b.fearIndex?.score ?? null;
+  const fearScore = { from: score(previous), to: score(current) };
+  fearScore.change = fearScore.from !== null && fearScore.to !== null ? fearScore.to - fearScore.from : null;
+
+  return {
+    regime: {
+      from: previous.regime.label,
+      to: current.regime.label,
+      changed: previous.regime.label !== current.regime.label
+    },
+    fear: {
+      from: previous.regime.fear,
+      to: current.regime.fear,
+      changed: previous.regime.fear !== current.regime.fear,
+      score: fearScore
+    },
+    tickers: {
+      entered: now.filter(t => !beforeBy[t.name]),
+      left: before.filter(t => !nowBy[t.name]),
+      moved: now
+        .filter(t => beforeBy[t.name] && beforeBy[t.name].rank !== t.rank)
+        .map(t => ({ ...t, previousRank: beforeBy[t.name].rank, previousMentions: beforeBy[t.name].mentions }))
+    },
+    narratives: {
+      new: current.narratives.filter(n => !narrativesBefore.has(n.id)).map(brief),
+      gone: previous.narratives.filter(n => !narrativesNow.has(n.id)).map(brief)
+    }
+  };
+}
+
+// ── Archive ──────────────────────────────────────────────
+
+// build(at) → brief for the window ending at `at`, or null when it has no
+// scans; bounds() → { oldest, newest } scan timestamps (null when empty)
+function createBriefArchive({ dir, times = '00:00', build, bounds, backfillDays = 14 }) {
+  const minutes = parseTimes(times);
+  // date → [{ time, at, summary }] sorted by time; the briefs stay on disk
+  const index = new Map();
+  let timer = null;
+
+  const fileFor = date => path.join(dir, `${date}.json`);
+
+  function summarize(entry) {
+    return {
+      time: entry.time,
+      at: entry.at,
+      regime: entry.brief.regime.label,
+      fear: entry.brief.regime.fear,
+      fearScore: entry.brief.fearIndex?.score ?? null,
+      scanCount: entry.brief.scanCount
+    };
+  }
+
+  function load() {
+    let files = [];
+    try {
+      files = fs.readdirSync(dir);
+    } catch (e) {
+      if (e.code !== 'ENOENT') throw e;
+    }
+    for (const f of files) {
+      const date = f.replace(/\.json$/, '');
+      if (!DATE_RE.test(date)) continue;
+      const day = readJson(fileFor(date), null);
+      if (day?.snapshots?.length) index.set(date, day.snapshots.map(summarize));
+    }
+  }
+
+  // Take (or retake) the snapshot scheduled at `at`
+  function snapshot(at) {
+    const brief = build(at);
+    if (!brief) return null;
+    const iso = new Date(at).toISOString();
+    const date = iso.slice(0, 10);
+    const entry = { time: iso.slice(11, 16), at: iso, brief };
+    const day = readJson(fileFor(date), { date, snapshots: [] });
+    day.snapshots = day.snapshots.filter(s => s.time !== entry.time).concat(entry)
+      .sort((a, b) => a.time.localeCompare(b.time));
+    writeJson(fileFor(date), day);
+    index.set(date, day.snapshots.map(summarize));
+    return summarize(entry);
+  }
+
+  function has(at) {
+    const iso = new Date(at).toISOString();
+    return (index.get(iso.slice(0, 10)) || []).some(s => s.time === iso.slice(11, 16));
+  }
+
+  // Snapshots due in the last `backfillDays` of scan history that are missing
+  function backfill(now = Date.now()) {
+    const { oldest, newest } = bounds();
+    if (oldest === null) return 0;
+    const to = Math.min(newest, now);
+    const from = Math.max(oldest, to - backfillDays * DAY_MS);
+    let taken = 0;
+    for (const at of instantsBetween(from, to, minutes)) {
+      if (!has(at) && snapshot(at)) taken++;
+    }
+    return taken;
+  }
+
+  function schedule() {
+    const now = Date.now();
+    const next = instantsBetween(now + 1, now + 2 * DAY_MS, minutes)[0];
+    timer = setTimeout(() => {
+      try {
+        if (!snapshot(next)) console.log(`Brief archive: no scans in the window ending ${new Date(next).toISOString()}, skipped`);
+      } catch (e) {
+        console.log(`Brief archive: snapshot failed: ${e.message}`);
+      }
+      schedule();
+    }, next - now);
+    timer.unref();
+  }
+
+  function start() {
+    load();
+    const taken = backfill();
+    if (taken) console.log(`Brief archive: backfilled ${taken} snapshot(s)`);
+    schedule();
+    return api;
+  }
+
+  function stop() {
+    clearTimeout(timer);
+  }
+
+  // Newest first
+  function list() {
+    return [...index.keys()].sort().reverse().map(date => ({ date, snapshots: index.get(date) }));
+  }
+
+  // One day's snapshot: the given HH:MM, or the day's last one
+  function get(date, time = null) {
+    if (!index.has(date)) return null;
+    const day = readJson(fileFor(date), null);
+    if (!day) return null;
+    return time ? day.snapshots.find(s => s.time === time) || null : day.snapshots.at(-1);
+  }
+
+  function latest() {
+    const dates = [...index.keys()].sort();
+    return dates.length ? get(dates.at(-1)) : null;
+  }
+
+  // Newest snapshot taken at or before `at` (ms)
+  function before(at) {
+    const iso = new Date(at).toISOString();
+    const dates = [...index.keys()].sort().reverse();
+    for (const date of dates) {
+      if (date > iso.slice(0, 10)) continue;
+      const hit = index.get(date).filter(s => s.at <= iso).at(-1);
+      if (hit) return get(date, hit.time);
+    }
+    return null;
+  }
+
+  // Snapshot for `date` against the previous archived day (same time of day
+  // when it was taken then, else that day's last), or against `against`
+  function diff(date, { time = null, against = null } = {}) {
+    const current = get(date, time);
+    if (!current) return null;
+    let prevDate = against;
+    if (!prevDate) prevDate = [...index.keys()].sort().reverse().find(d => d < date) || null;
+    const previous = prevDate && (get(prevDate, current.time) || get(prevDate));
+    if (!previous) return { current: { date, time: current.time, at: current.at }, previous: null };
+    return {
+      current: { date, time: current.time, at: current.at },
+      previous: { date: prevDate, time: previous.time, at: previous.at },
+      ...diffBriefs(current.brief, previous.brief)
+    };
+  }
+
+  const api = { times: minutes.map(timeLabel), start, stop, snapshot, backfill, list, get, latest, before, diff };
+  return api;
+}
+
+module.exports = { DATE_RE, parseTimes, diffBriefs, createBriefArchive };
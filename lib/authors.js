@@ -0,0 +1,165 @@
+// Author index — aggregates the captured posts (highEngagement and
+// tickerDetails) by account: volume, engagement, which tickers they push,
+// how early they were on tickers that later trended, and their lean.
+
+const { scoreText, aggregateSentiment } = require('./sentiment');
+
+const TREND_WINDOW_MS = 24 * 3600 * 1000;
+const TREND_TOP = 10;
+
+function median(values) {
+  if (!values.length) return 0;
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = sorted.length >> 1;
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+function handleKey(handle) {
+  return String(handle || '').replace(/^@/, '').toLowerCase();
+}
+
+// Raw spellings when no registry is given
+const upper = name => name.toUpperCase();
+
+// When each ticker first entered the top-N of a rolling 24h window, keyed by
+// canonical symbol (resolve: raw spelling → symbol, so aliases count
+// together). Tickers already on top during the first window of history have
+// no onset — there's no "before" to have been early in.
+function trendOnsets(scans, { windowMs = TREND_WINDOW_MS, top = TREND_TOP, resolve = upper } = {}) {
+  const onsets = {};
+  if (!scans.length) return onsets;
+  const warmupEnd = scans[0].ts + windowMs;
+  const counts = {};
+  let tail = 0;
+  for (const s of scans) {
+    for (const [raw, n] of Object.entries(s.tickers)) {
+      const name = resolve(raw);
+      counts[name] = (counts[name] || 0) + n;
+    }
+    while (scans[tail].ts < s.ts - windowMs) {
+      for (const [raw, n] of Object.entries(scans[tail].tickers)) {
+        const name = resolve(raw);
+        counts[name] -= n;
+        if (counts[name] <= 0) delete counts[name];
+      }
+      tail++;
+    }
+    const leaders = Object.entries(counts).sort((a, b) => b[1] - a[1]).slice(0, top);
+    for (const [name] of leaders) {
+      if (name in onsets) continue;
+      onsets[name] = s.ts < warmupEnd ? null : s.ts;
+    }
+  }
+  return onsets;
+}
+
+// Unique posts across scans (the same tweet is recaptured every scan),
+// keeping the highest engagement seen and the first and last time it was captured
+function uniquePosts(scans) {
+  const posts = new Map();
+  for (const s of scans) {
+    for (const p of s.posts) {
+      if (!p.author) continue;
+      const key = p.url || `${handleKey(p.author)}\u0000${p.text}`;
+      const prev = posts.get(key);
+      if (!prev) {
+        posts.set(key, { ...p, tickers: [...p.tickers], firstSeen: s.ts, lastSeen: s.ts });
+        continue;
+      }
+      prev.likes = Math.max(prev.likes, p.likes);
+      prev.retweets = Math.max(prev.retweets, p.retweets);
+      prev.lastSeen = Math.max(prev.lastSeen, s.ts);
+      for (const t of p.tickers) if (!prev.tickers.includes(t)) prev.tickers.push(t);
+    }
+  }
+  return [...posts.values()];
+}
+
+// scans: the window to aggregate; onsets: trendOnsets() over the history up
+// to the window's end, resolved the same way as `resolve` here
+function buildAuthorIndex(scans, onsets = {}, resolve = upper) {
+  const authors = new Map();
+  for (const p of uniquePosts(scans)) {
+    const key = handleKey(p.author);
+    let a = authors.get(key);
+    if (!a) {
+      a = { handle: p.author, posts: [], tickers: {}, firstMention: {} };
+      authors.set(key, a);
+    }
+    a.posts.push(p);
+    for (const t of new Set(p.tickers.map(resolve).filter(Boolean))) {
+      a.tickers[t] = (a.tickers[t] || 0) + 1;
+      if (!(t in a.firstMention) || p.firstSeen < a.firstMention[t]) a.firstMention[t] = p.firstSeen;
+    }
+  }
+
+  return [...authors.values()].map(a => {
+    const likes = a.posts.map(p => p.likes);
+    const retweets = a.posts.map(p => p.retweets);
+    const earlyCalls = Object.entries(a.firstMention)
+      .filter(([t, first]) => onsets[t] && first < onsets[t])
+      .map(([ticker, first]) => ({
+        ticker,
+        firstMention: new Date(first).toISOString(),
+        trendedAt: new Date(onsets[ticker]).toISOString(),
+        leadHours: parseFloat(((onsets[ticker] - first) / 3600 / 1000).toFixed(1))
+      }))
+      .sort((x, y) => y.leadHours - x.leadHours);
+    return {
+      handle: a.handle,
+      posts: a.posts.length,
+      likes: likes.reduce((x, y) => x + y, 0),
+      retweets: retweets.reduce((x, y) => x + y, 0),
+      medianLikes: median(likes),
+      medianRetweets: median(retweets),
+      tickers: Object.entries(a.tickers)
+        .sort((x, y) => y[1] - x[1])
+        .map(([name, posts]) => ({ name, posts })),
+      earlyCalls,
+      lean: aggregateSentiment(a.posts),
+      firstSeen: new Date(Math.min(...a.posts.map(p => p.firstSeen))).toISOString(),
+      lastSeen: new Date(Math.max(...a.posts.map(p => p.lastSeen))).toISOString(),
+      _posts: a.posts
+    };
+  });
+}
+
+const SORTS = {
+  posts: (a, b) => b.posts - a.posts || b.likes - a.likes,
+  likes: (a, b) => b.likes - a.likes,
+  early: (a, b) => b.earlyCalls.length - a.earlyCalls.length || b.posts - a.posts
+};
+
+function listAuthors(index, { sort = 'posts', limit = 50 } = {}) {
+  return index
+    .sort(SORTS[sort] || SORTS.posts)
+    .slice(0, limit)
+    .map(({ _posts, tickers, earlyCalls, ...a }) => ({
+      ...a,
+      tickers: tickers.slice(0, 5),
+      earlyCalls: earlyCalls.length
+    }));
+}
+
+function authorDetail(index, handle, { postLimit = 20 } = {}) {
+  const a = index.find(x => handleKey(x.handle) === handleKey(handle));
+  if (!a) return null;
+  const { _posts, ...rest } = a;
+  return {
+    ...rest,
+    topPosts: _posts
+      .sort((x, y) => (y.likes + 2 * y.retweets) - (x.likes + 2 * x.retweets))
+      .slice(0, postLimit)
+      .map(p => ({
+        text: p.text,
+        likes: p.likes,
+        retweets: p.retweets,
+        url: p.url,
+        tickers: p.tickers,
+        firstSeen: new Date(p.firstSeen).toISOString(),
+        sentiment: scoreText(p.text).label
+      }))
+  };
+}
+
+module.exports = { SORTS, trendOnsets, uniquePosts, buildAuthorIndex, listAuthors, authorDetail };
@@ -0,0 +1,190 @@
+// Scan bundles — the raw scans a deploy ships with, as one JSON array
+// (the original format) or NDJSON, either optionally gzipped, plus a
+// manifest sidecar (`<bundle>.manifest.json`) with the count, time range,
+// formats seen and a checksum. NDJSON bundles are read line by line, so
+// loading one never holds the whole file as a single string.
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const crypto = require('crypto');
+const readline = require('readline');
+const { readJson, writeJson } = require('./state');
+const { normalizeScan, validateScan } = require('./schema');
+
+const MANIFEST_VERSION = 1;
+// What bundle-data.js can write, in the order a consumer should prefer them
+const BUNDLE_NAMES = ['scans-bundle.ndjson.gz', 'scans-bundle.ndjson', 'scans-bundle.json.gz', 'scans-bundle.json'];
+
+// "scans.ndjson.gz" → { format: 'ndjson', gzip: true }
+function bundleKind(file) {
+  const gzip = file.endsWith('.gz');
+  const base = gzip ? file.slice(0, -3) : file;
+  return { format: base.endsWith('.ndjson') ? 'ndjson' : 'json', gzip };
+}
+
+// The preferred bundle present in `dir`, else where the original one would be
+function findBundle(dir) {
+  return BUNDLE_NAMES.map(f => path.join(dir, f)).find(f => fs.existsSync(f)) ||
+    path.join(dir, 'scans-bundle.json');
+}
+
+function manifestPath(file) {
+  return `${file}.manifest.json`;
+}
+
+function readManifest(file) {
+  return readJson(manifestPath(file), null);
+}
+
+function sha256File(file) {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash('sha256');
+    fs.createReadStream(file)
+      .on('data', chunk => hash.update(chunk))
+      .on('end', () => resolve(hash.digest('hex')))
+      .on('error', reject);
+  });
+}
+
+// Calls onScan(raw, index) for every scan in the bundle, in file order.
+// Resolves to the sha256 of the file's bytes. A line or element that isn't
+// JSON is reported to onError(error, index) and skipped.
+async function streamBundle(file, onScan, onError = () => {}) {
+  const { format, gzip } = bundleKind(file);
+  const hash = crypto.createHash('sha256');
+  const input = fs.createReadStream(file);
+  input.on('data', chunk => hash.update(chunk));
+  const stream = gzip ? input.pipe(zlib.createGunzip()) : input;
+  const done = new Promise((resolve, reject) => {
+    input.on('error', reject);
+    stream.on('error', reject);
+    stream.on('end', resolve);
+  });
+  // The line reader below can fail first (a truncated .gz) and leave `done`
+  // rejected but never awaited; its error still surfaces through the read
+  done.catch(() => {});
+
+  if (format === 'json') {
+    // The original single-array format can only be parsed whole
+    const chunks = [];
+    stream.on('data', chunk => chunks.push(chunk));
+    await done;
+    JSON.parse(Buffer.concat(chunks)).forEach((raw, i) => onScan(raw, i));
+    return hash.digest('hex');
+  }
+
+  let index = 0;
+  for await (const line of readline.createInterface({ input: stream, crlfDelay: Infinity })) {
+    if (!line.trim()) continue;
+    try {
+      onScan(JSON.parse(line), index);
+    } catch (e) {
+      onError(e, index);
+    }
+    index++;
+  }
+  await done;
+  return hash.digest('hex');
+}
+
+// Count, time range and formats for a list of normalized scans
+function describe(scans) {
+  const formats = {};
+  let from = null, to = null;
+  for (const s of scans) {
+    formats[s.format] = (formats[s.format] || 0) + 1;
+    if (from === null || s.ts < from) from = s.ts;
+    if (to === null || s.ts > to) to = s.ts;
+  }
+  return {
+    count: scans.length,
+    from: from === null ? null : new Date(from).toISOString(),
+    to: to === null ? null : new Date(to).toISOString(),
+    formats
+  };
+}
+
+function serialize(raws, format) {
+  return format === 'ndjson' ? raws.map(r => JSON.stringify(r) + '\n').join('') : JSON.stringify(raws);
+}
+
+// Write raw scans to `file` (format from the extension) with its manifest.
+// `append` adds to an existing NDJSON bundle instead of replacing it;
+// `scans` are the normalized forms of every scan the bundle will hold.
+async function writeBundle(file, raws, { scans, append = false, extra = {} }) {
+  const { format, gzip } = bundleKind(file);
+  if (append && format !== 'ndjson') throw new Error('only NDJSON bundles can be appended to');
+  let data = Buffer.from(serialize(raws, format));
+  // Concatenated gzip members are still one valid gzip stream
+  if (gzip) data = zlib.gzipSync(data);
+  if (append) {
+    fs.appendFileSync(file, data);
+  } else {
+    const tmp = `${file}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, data);
+    fs.renameSync(tmp, file);
+  }
+  const previous = append ? readManifest(file) : null;
+  const manifest = {
+    version: MANIFEST_VERSION,
+    file: path.basename(file),
+    format,
+    gzip,
+    ...describe(scans),
+    sha256: await sha256File(file),
+    bytes: fs.statSync(file).size,
+    created: previous?.created || new Date().toISOString(),
+    updated: new Date().toISOString(),
+    ...extra
+  };
+  writeJson(manifestPath(file), manifest);
+  return manifest;
+}
+
+// Validate and normalize one raw scan; returns { scan } or { errors }
+function checkScan(raw, source) {
+  const errors = validateScan(raw);
+  if (errors.length) return { errors };
+  try {
+    return { scan: normalizeScan(raw, source) };
+  } catch (e) {
+    return { errors: [e.message] };
+  }
+}
+
+// Every .json scan file in a data dir, validated, in file name order:
+// { files, entries: [{ file, raw, scan }], failures: [{ file, errors }] }.
+// Throws when the dir can't be read.
+function readScanDir(dir) {
+  const files = fs.readdirSync(dir).filter(f => f.endsWith('.json')).sort();
+  const entries = [];
+  const failures = [];
+  for (const f of files) {
+    let raw;
+    try {
+      raw = JSON.parse(fs.readFileSync(path.join(dir, f)));
+    } catch (e) {
+      failures.push({ file: f, errors: [`not valid JSON: ${e.message}`] });
+      continue;
+    }
+    const { scan, errors } = checkScan(raw, f);
+    if (errors) failures.push({ file: f, errors });
+    else entries.push({ file: f, raw, scan });
+  }
+  return { files: files.length, entries, failures };
+}
+
+module.exports = {
+  MANIFEST_VERSION,
+  BUNDLE_NAMES,
+  bundleKind,
+  findBundle,
+  manifestPath,
+  readManifest,
+  streamBundle,
+  describe,
+  writeBundle,
+  checkScan,
+  readScanDir
+};
@@ -0,0 +1,22 @@
+// Contract addresses quoted in tweet text ("CA: ...pump", 0x...)
+
+const EVM_RE = /\b0x[a-fA-F0-9]{40}\b/g;
+const SOLANA_RE = /\b[1-9A-HJ-NP-Za-km-z]{32,44}\b/g;
+
+// Base58 also matches long plain words; real addresses mix case and digits
+function looksLikeSolana(s) {
+  return /\d/.test(s) && /[a-z]/.test(s) && /[A-Z]/.test(s);
+}
+
+function extractContracts(text) {
+  const found = new Map();
+  for (const m of (text || '').match(EVM_RE) || []) {
+    found.set(m.toLowerCase(), { address: m, chain: 'evm' });
+  }
+  for (const m of (text || '').match(SOLANA_RE) || []) {
+    if (looksLikeSolana(m)) found.set(m, { address: m, chain: 'solana' });
+  }
+  return [...found.values()];
+}
+
+module.exports = { extractContracts };
@@ -0,0 +1,241 @@
+// Brief and data exports — Markdown and plain text for chat bots, RSS and
+// Atom feeds of periodic brief editions, CSV for tabular endpoints and
+// GraphML for the co-mention graph.
+// Routes pick a format from ?format= or the Accept header via negotiate().
+
+const FORMATS = {
+  json: 'application/json',
+  md: 'text/markdown',
+  text: 'text/plain',
+  csv: 'text/csv',
+  rss: 'application/rss+xml',
+  atom: 'application/atom+xml',
+  graphml: 'application/graphml+xml'
+};
+
+// Format for this request out of `allowed` (first is the default). Returns
+// { format } or { error, status } for an unknown ?format= / unmet Accept.
+function negotiate(req, allowed) {
+  if (req.query.format !== undefined) {
+    if (allowed.includes(req.query.format)) return { format: req.query.format };
+    return { status: 400, error: `format must be one of ${allowed.join(', ')}` };
+  }
+  const type = req.accepts(allowed.map(f => FORMATS[f]));
+  if (!type) return { status: 406, error: `acceptable types: ${allowed.map(f => FORMATS[f]).join(', ')}` };
+  return { format: allowed.find(f => FORMATS[f] === type) };
+}
+
+// ── Brief rendering ──────────────────────────────────────
+
+// "3.2:1", "∞:1" with no bears, "—" with no sentiment at all
+function formatRatio(sentiment) {
+  if (sentiment.ratio !== null) return `${sentiment.ratio}:1`;
+  return sentiment.bull > 0 ? '∞:1' : '—';
+}
+
+function changeText(change) {
+  if (change === null || change === undefined) return '';
+  return `${change >= 0 ? '+' : ''}${change}%`;
+}
+
+function oneLine(text, max = 200) {
+  const t = String(text || '').replace(/\s+/g, ' ').trim();
+  return t.length > max ? `${t.slice(0, max - 1)}…` : t;
+}
+
+// Tweet text and handles are untrusted: backslash-escape anything Markdown
+// would read as emphasis, code, a link, HTML or a table cell
+function escapeMarkdown(text) {
+  return String(text ?? '').replace(/[\\`*_{}[\]()<>#!|~]/g, '\\$&');
+}
+
+// [link](<url>) for http(s) URLs, with the characters that would end the
+// <...> destination percent-encoded; anything else isn't linked
+function markdownLink(url) {
+  if (!/^https?:\/\//i.test(url)) return '';
+  return `[link](<${url.replace(/[<>\s\\]/g, encodeURIComponent)}>)`;
+}
+
+function windowText(brief) {
+  return `${brief.window} window ending ${brief.to.slice(0, 16).replace('T', ' ')} UTC · ${brief.scanCount} scans`;
+}
+
+// Sections shared by the Markdown and text renderers: [title, lines[]]
+function sections(brief, { md }) {
+  const tick = md ? s => `\`${s}\`` : s => s;
+  const out = [];
+  const r = brief.regime;
+  out.push(['Regime', [
+    `Regime: ${r.label}${r.raw && r.raw !== r.label ? ` (window average: ${r.raw})` : ''}`,
+    `Sentiment: ${r.sentiment.bull} bull / ${r.sentiment.bear} bear per scan · ${formatRatio(r.sentiment)} · ${r.sentiment.trend}`,
+    `Fear: ${r.fear}${brief.fearIndex?.score != null ? ` (${brief.fearIndex.score}/100)` : ''}`
+  ]]);
+  if (brief.tickers.length) {
+    out.push(['Top tickers', [brief.tickers.slice(0, 10).map(t => `${tick('$' + t.name)} ${t.mentions}`).join(' · ')]]);
+  }
+  if (brief.momentum.length) {
+    out.push(['Trending', brief.momentum.map(m => `${tick('$' + m.name)} ${m.mentions} mentions, ${m.change === 'NEW' ? 'no baseline' : `${changeText(m.change)} vs baseline`} (${m.status})`)]);
+  }
+  if (brief.narratives.length) {
+    out.push(['Narratives', brief.narratives.map(n =>
+      `${n.type} ${n.label} — ${n.strength} signals${n.change !== null && n.change !== undefined ? `, ${changeText(n.change)}` : ''}`)]);
+  }
+  if (brief.commodities.length) {
+    out.push(['Commodities & macro', [brief.commodities.map(c => `${c.name} ${c.mentions}`).join(' · ')]]);
+  }
+  if (brief.topPosts.length) {
+    const safe = md ? escapeMarkdown : s => s;
+    out.push(['Top posts', brief.topPosts.map(p =>
+      `@${safe(p.author)} (${p.likes} likes): ${safe(oneLine(p.text))}${p.url ? ` ${md ? markdownLink(p.url) : p.url}` : ''}`.trimEnd())]);
+  }
+  return out;
+}
+
+function briefToMarkdown(brief) {
+  const lines = [`# CT Intelligence Brief`, '', `_${windowText(brief)}_`];
+  for (const [title, items] of sections(brief, { md: true })) {
+    lines.push('', `## ${title}`, '');
+    for (const item of items) lines.push(items.length > 1 || title === 'Regime' ? `- ${item}` : item);
+  }
+  return lines.join('\n') + '\n';
+}
+
+function briefToText(brief) {
+  const lines = ['CT INTELLIGENCE BRIEF', windowText(brief)];
+  for (const [title, items] of sections(brief, { md: false })) {
+    lines.push('', title.toUpperCase());
+    for (const item of items) lines.push(items.length > 1 || title === 'Regime' ? `• ${item}` : item);
+  }
+  return lines.join('\n') + '\n';
+}
+
+function escapeXml(value) {
+  return String(value ?? '').replace(/[&<>"']/g, c => ({
+    '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&apos;'
+  })[c]);
+}
+
+// HTML fragment for feed entry bodies (escaped again by the feed itself)
+function briefToHtml(brief) {
+  const parts = [`<p><em>${escapeXml(windowText(brief))}</em></p>`];
+  for (const [title, items] of sections(brief, { md: false })) {
+    parts.push(`<h3>${escapeXml(title)}</h3><ul>${items.map(i => `<li>${escapeXml(i)}</li>`).join('')}</ul>`);
+  }
+  return parts.join('');
+}
+
+// ── Feeds ────────────────────────────────────────────────
+
+function editionTitle(brief) {
+  return `${brief.window} brief to ${brief.to.slice(0, 16).replace('T', ' ')} UTC — ${brief.regime.label}, fear ${brief.regime.fear}`;
+}
+
+// editions: briefs, newest first; feed: { title, link, self, id }. Entry
+// ids are the feed id plus the edition's end, so re-fetches don't duplicate
+function briefsToAtom(editions, feed) {
+  const updated = editions[0]?.to || new Date().toISOString();
+  const entries = editions.map(b => `  <entry>
+    <id>${escapeXml(`${feed.id}/${b.to}`)}</id>
+    <title>${escapeXml(editionTitle(b))}</title>
+    <updated>${b.to}</updated>
+    <link rel="alternate" href="${escapeXml(`${feed.link}?hours=${parseFloat(b.window)}&asOf=${b.to}`)}"/>
+    <content type="html">${escapeXml(briefToHtml(b))}</content>
+  </entry>`);
+  return `<?xml version="1.0" encoding="utf-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom">
+  <id>${escapeXml(feed.id)}</id>
+  <title>${escapeXml(feed.title)}</title>
+  <updated>${updated}</updated>
+  <link rel="self" href="${escapeXml(feed.self)}"/>
+  <link rel="alternate" href="${escapeXml(feed.link)}"/>
+${entries.join('\n')}
+</feed>
+`;
+}
+
+function briefsToRss(editions, feed) {
+  const items = editions.map(b => `    <item>
+      <guid isPermaLink="false">${escapeXml(`${feed.id}/${b.to}`)}</guid>
+      <title>${escapeXml(editionTitle(b))}</title>
+      <pubDate>${new Date(b.to).toUTCString()}</pubDate>
+      <link>${escapeXml(`${feed.link}?hours=${parseFloat(b.window)}&asOf=${b.to}`)}</link>
+      <description>${escapeXml(briefToHtml(b))}</description>
+    </item>`);
+  return `<?xml version="1.0" encoding="utf-8"?>
+<rss version="2.0">
+  <channel>
+    <title>${escapeXml(feed.title)}</title>
+    <link>${escapeXml(feed.link)}</link>
+    <description>Periodic Crypto Twitter intelligence briefs</description>
+    <lastBuildDate>${new Date(editions[0]?.to || Date.now()).toUTCString()}</lastBuildDate>
+${items.join('\n')}
+  </channel>
+</rss>
+`;
+}
+
+// ── CSV ──────────────────────────────────────────────────
+
+// RFC 4180 quoting; cells that a spreadsheet would run as a formula get a
+// leading apostrophe
+function csvCell(value) {
+  if (value === null || value === undefined) return '';
+  let s = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  if (/^[=+\-@\t\r]/.test(s) && !/^-?\d/.test(s)) s = `'${s}`;
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+// rows: flat objects; columns default to the union of their keys
+function toCsv(rows, columns = null) {
+  const cols = columns || [...new Set(rows.flatMap(r => Object.keys(r)))];
+  const lines = [cols.map(csvCell).join(',')];
+  for (const r of rows) lines.push(cols.map(c => csvCell(r[c])).join(','));
+  return lines.join('\r\n') + '\r\n';
+}
+
+// ── GraphML ──────────────────────────────────────────────
+
+const GRAPHML_KEYS = {
+  node: [['mentions', 'int'], ['degree', 'int'], ['class', 'string'], ['group', 'int']],
+  edge: [['shared', 'int'], ['lift', 'double'], ['pmi', 'double'], ['jaccard', 'double']]
+};
+
+function graphmlData(kind, item) {
+  return GRAPHML_KEYS[kind]
+    .filter(([k]) => item[k] !== null && item[k] !== undefined)
+    .map(([k]) => `<data key="${kind}_${k}">${escapeXml(item[k])}</data>`)
+    .join('');
+}
+
+// graph: buildGraph() output, for Gephi, Cytoscape, yEd and friends
+function graphToGraphml(graph, { from, to }) {
+  const lines = [
+    '<?xml version="1.0" encoding="utf-8"?>',
+    '<graphml xmlns="http://graphml.graphdrawing.org/xmlns">'
+  ];
+  for (const [kind, keys] of Object.entries(GRAPHML_KEYS)) {
+    for (const [k, type] of keys) lines.push(`  <key id="${kind}_${k}" for="${kind}" attr.name="${k}" attr.type="${type}"/>`);
+  }
+  lines.push(
+    '  <graph id="co-mentions" edgedefault="undirected">',
+    `    <desc>Ticker co-mentions ${escapeXml(from)} to ${escapeXml(to)}</desc>`,
+    ...graph.nodes.map(n => `    <node id="${escapeXml(n.id)}">${graphmlData('node', n)}</node>`),
+    ...graph.edges.map((e, i) => `    <edge id="e${i}" source="${escapeXml(e.source)}" target="${escapeXml(e.target)}">${graphmlData('edge', e)}</edge>`),
+    '  </graph>',
+    '</graphml>'
+  );
+  return lines.join('\n') + '\n';
+}
+
+module.exports = {
+  FORMATS,
+  negotiate,
+  formatRatio,
+  briefToMarkdown,
+  briefToText,
+  briefToHtml,
+  briefsToAtom,
+  briefsToRss,
+  toCsv,
+  graphToGraphml
+};
@@ -0,0 +1,171 @@
+// Composite fear/risk index. Four per-scan components — safe-haven metal
+// talk, macro fear terms, the bearish share of sentiment and how fast that
+// share is rising — are each ranked against the same-length windows in
+// history, blended, and the blend is ranked against history again. The
+// score (0–100) is that final percentile, so an 8h and a 7d window on the
+// same quiet market read the same.
+
+const { lowerBound, upperBound } = require('./store');
+
+const METAL_TERMS = ['gold', 'silver', 'platinum', 'palladium', 'precious metals'];
+const MACRO_TERMS = [
+  'fed', 'fomc', 'powell', 'rate hike', 'inflation', 'cpi', 'unemployment', 'jobs report',
+  'nonfarm', 'dollar', 'dxy', 'treasury', 'yields', 'bond', 'recession',
+  'laid off', 'layoff', 'firing', 'fired', 'bankruptcy', 'shutdown'
+];
+
+const COMPONENTS = {
+  metals: { weight: 0.3, description: 'Safe-haven metal mentions per scan' },
+  macro: { weight: 0.25, description: 'Macro fear terms per scan' },
+  bearShare: { weight: 0.3, description: 'Bearish share of bull/bear sentiment' },
+  bearMomentum: { weight: 0.15, description: 'Change in bearish share, second half vs first half' }
+};
+
+// Score (percentile of the blend) → label; the labels alert rules use
+const LEVELS = [[95, 'EXTREME'], [80, 'HIGH'], [60, 'ELEVATED'], [30, 'MODERATE'], [0, 'LOW']];
+const MAX_REFERENCE = 500;
+const MIN_REFERENCE = 20;
+
+function levelFor(score) {
+  return LEVELS.find(([min]) => score >= min)[1];
+}
+
+function termTotal(scan, terms) {
+  let n = 0;
+  for (const t of terms) n += scan.agg.keywords[t] || 0;
+  return n;
+}
+
+// First index in sorted numbers where value > x (or >= x when strict)
+function bisect(sorted, x, strict) {
+  let lo = 0, hi = sorted.length;
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1;
+    if (strict ? sorted[mid] < x : sorted[mid] <= x) lo = mid + 1;
+    else hi = mid;
+  }
+  return lo;
+}
+
+// Share of sorted values below x, ties counted half, as 0–100
+function percentile(sorted, x) {
+  if (!sorted.length) return 50;
+  const below = bisect(sorted, x, true);
+  const atOrBelow = bisect(sorted, x, false);
+  return (below + (atOrBelow - below) / 2) / sorted.length * 100;
+}
+
+function round(n, digits = 1) {
+  return parseFloat(n.toFixed(digits));
+}
+
+// scans: full history, sorted by ts. Prefix sums make any window O(1).
+function createFearIndex(scans) {
+  const n = scans.length;
+  const sums = { metals: [0], macro: [0], bull: [0], bear: [0] };
+  for (let i = 0; i < n; i++) {
+    const s = scans[i];
+    sums.metals.push(sums.metals[i] + termTotal(s, METAL_TERMS));
+    sums.macro.push(sums.macro[i] + termTotal(s, MACRO_TERMS));
+    sums.bull.push(sums.bull[i] + s.sentiment.bullish);
+    sums.bear.push(sums.bear[i] + s.sentiment.bearish);
+  }
+  const between = (key, i, j) => sums[key][j] - sums[key][i];
+  const bearShare = (i, j) => {
+    const bear = between('bear', i, j);
+    const total = bear + between('bull', i, j);
+    return total ? bear / total : null;
+  };
+
+  // Raw component values for scans in [from, to]; null when there are none
+  function measure(from, to) {
+    const i = lowerBound(scans, from);
+    const j = upperBound(scans, to);
+    if (j <= i) return null;
+    const mid = Math.min(Math.max(upperBound(scans, (from + to) / 2), i), j);
+    const first = bearShare(i, mid);
+    const second = bearShare(mid, j);
+    return {
+      scans: j - i,
+      metals: between('metals', i, j) / (j - i),
+      macro: between('macro', i, j) / (j - i),
+      bearShare: bearShare(i, j) ?? 0,
+      bearMomentum: first !== null && second !== null ? second - first : 0
+    };
+  }
+
+  // Same-length windows ending at each scan up to `to` (evenly thinned),
+  // with each component sorted, plus the sorted blends
+  function reference(span, to) {
+    const end = upperBound(scans, to);
+    if (!end) return null;
+    const earliest = scans[0].ts + span;
+    let ends = [];
+    for (let k = 0; k < end; k++) if (scans[k].ts >= earliest) ends.push(scans[k].ts);
+    // Not enough full-length windows in history: fall back to partial ones
+    if (ends.length < MIN_REFERENCE) ends = scans.slice(0, end).map(s => s.ts);
+    if (ends.length > MAX_REFERENCE) {
+      const step = ends.length / MAX_REFERENCE;
+      ends = Array.from({ length: MAX_REFERENCE }, (_, k) => ends[Math.floor(k * step)]);
+    }
+    const samples = ends.map(ts => measure(ts - span, ts)).filter(Boolean);
+    const ref = { windows: samples.length };
+    for (const key of Object.keys(COMPONENTS)) ref[key] = samples.map(m => m[key]).sort((a, b) => a - b);
+    ref.blend = samples.map(m => blend(m, ref)).sort((a, b) => a - b);
+    return ref;
+  }
+
+  function blend(m, ref) {
+    let total = 0;
+    for (const [key, c] of Object.entries(COMPONENTS)) total += c.weight * percentile(ref[key], m[key]);
+    return total;
+  }
+
+  // Full reading for one window; `ref` can be shared across many windows
+  function index(from, to, ref = reference(to - from, to)) {
+    const m = measure(from, to);
+    if (!m || !ref) {
+      const windows = ref?.windows || 0;
+      return { score: null, label: 'NO DATA', scans: 0, components: {}, calibration: { windows, calibrated: windows >= MIN_REFERENCE } };
+    }
+    const components = {};
+    for (const [key, c] of Object.entries(COMPONENTS)) {
+      components[key] = {
+        value: round(m[key], 3),
+        percentile: round(percentile(ref[key], m[key])),
+        weight: c.weight,
+        description: c.description
+      };
+    }
+    const score = Math.round(percentile(ref.blend, blend(m, ref)));
+    return {
+      score,
+      label: levelFor(score),
+      scans: m.scans,
+      components,
+      calibration: { windows: ref.windows, calibrated: ref.windows >= MIN_REFERENCE }
+    };
+  }
+
+  // Readings every stepMs over [from, to] for windows of length span,
+  // calibrated against history up to `to`
+  function history(from, to, span, stepMs) {
+    const ref = reference(span, to);
+    const points = [];
+    for (let at = to; at >= from && points.length < MAX_REFERENCE; at -= stepMs) {
+      const r = index(at - span, at, ref);
+      points.push({
+        at: new Date(at).toISOString(),
+        score: r.score,
+        label: r.label,
+        scans: r.scans,
+        components: Object.fromEntries(Object.entries(r.components).map(([k, c]) => [k, c.percentile]))
+      });
+    }
+    return points.reverse();
+  }
+
+  return { measure, reference, index, history };
+}
+
+module.exports = { METAL_TERMS, MACRO_TERMS, COMPONENTS, LEVELS, levelFor, createFearIndex };
@@ -0,0 +1,121 @@
+// Ticker co-mention graph — which tickers get named in the same tweets.
+// Nodes are tickers (aliases merged), edges join two tickers that share
+// tweets. Edge weight is the number of shared tweets; lift and PMI say how
+// much more often they show up together than their own volumes would
+// predict, so a pack of memecoins shilled together stands out from pairs
+// that only meet because $BTC is in everything.
+
+const { tickersInText } = require('./schema');
+
+const GRAPH_DEFAULTS = { minShared: 2, maxEdges: 150, exclude: [] };
+const RELATED_DEFAULTS = { minShared: 2, limit: 20, sort: 'lift' };
+const SORTS = {
+  shared: (a, b) => b.shared - a.shared || b.lift - a.lift,
+  lift: (a, b) => b.lift - a.lift || b.shared - a.shared,
+  pmi: (a, b) => b.pmi - a.pmi || b.shared - a.shared
+};
+
+function round(n, digits = 3) {
+  return parseFloat(n.toFixed(digits));
+}
+
+// posts: uniquePosts() of the window; resolve: raw spelling → canonical
+// symbol. A tweet counts for every ticker the scanner filed it under plus
+// any $CASHTAG in its text.
+function coMentions(posts, resolve = s => s.toUpperCase()) {
+  const mentions = new Map();   // ticker → tweets naming it
+  const pairs = new Map();      // "A|B" (sorted) → shared tweets
+  let total = 0;
+  for (const p of posts) {
+    const names = [...new Set([...p.tickers, ...tickersInText(p.text)].map(resolve))].filter(Boolean).sort();
+    if (!names.length) continue;
+    total++;
+    for (const t of names) mentions.set(t, (mentions.get(t) || 0) + 1);
+    for (let i = 0; i < names.length; i++) {
+      for (let j = i + 1; j < names.length; j++) {
+        const key = `${names[i]}|${names[j]}`;
+        pairs.set(key, (pairs.get(key) || 0) + 1);
+      }
+    }
+  }
+  return { posts: total, mentions, pairs };
+}
+
+// Association scores for a pair: lift = P(a,b) / (P(a)·P(b)), PMI = log2(lift)
+function score(co, a, b, shared) {
+  const na = co.mentions.get(a);
+  const nb = co.mentions.get(b);
+  const lift = (shared * co.posts) / (na * nb);
+  return {
+    shared,
+    lift: round(lift, 2),
+    pmi: round(Math.log2(lift)),
+    jaccard: round(shared / (na + nb - shared))
+  };
+}
+
+// Strongest edges (by shared tweets) and the tickers they join. Nodes carry
+// their connected component as `group`, so a pack moving together shares one.
+function buildGraph(co, { classOf = () => null, ...opts } = {}) {
+  const o = { ...GRAPH_DEFAULTS, ...opts };
+  const exclude = new Set(o.exclude.map(t => String(t).toUpperCase()));
+  const edges = [];
+  for (const [key, shared] of co.pairs) {
+    if (shared < o.minShared) continue;
+    const [source, target] = key.split('|');
+    if (exclude.has(source) || exclude.has(target)) continue;
+    edges.push({ source, target, ...score(co, source, target, shared) });
+  }
+  edges.sort(SORTS.shared);
+  const kept = edges.slice(0, o.maxEdges);
+
+  const parent = {};
+  const find = t => (parent[t] === t ? t : (parent[t] = find(parent[t])));
+  const degree = {};
+  for (const e of kept) {
+    for (const t of [e.source, e.target]) {
+      parent[t] = parent[t] ?? t;
+      degree[t] = (degree[t] || 0) + 1;
+    }
+    parent[find(e.source)] = find(e.target);
+  }
+
+  // Groups numbered from the busiest down
+  const sizes = {};
+  for (const t of Object.keys(parent)) sizes[find(t)] = (sizes[find(t)] || 0) + co.mentions.get(t);
+  const groupOf = Object.fromEntries(
+    Object.keys(sizes).sort((a, b) => sizes[b] - sizes[a]).map((root, i) => [root, i])
+  );
+  const nodes = Object.keys(parent)
+    .map(id => ({ id, mentions: co.mentions.get(id), degree: degree[id], class: classOf(id), group: groupOf[find(id)] }))
+    .sort((a, b) => b.mentions - a.mentions);
+
+  return {
+    posts: co.posts,
+    tickers: co.mentions.size,
+    pairs: co.pairs.size,
+    edgesDropped: edges.length - kept.length,
+    nodes,
+    edges: kept
+  };
+}
+
+// Tickers named alongside `symbol`, strongest first by `sort`
+function relatedTo(co, symbol, opts = {}) {
+  const o = { ...RELATED_DEFAULTS, ...opts };
+  const related = [];
+  for (const [key, shared] of co.pairs) {
+    if (shared < o.minShared) continue;
+    const [a, b] = key.split('|');
+    if (a !== symbol && b !== symbol) continue;
+    const other = a === symbol ? b : a;
+    related.push({ name: other, mentions: co.mentions.get(other), ...score(co, symbol, other, shared) });
+  }
+  return {
+    symbol,
+    posts: co.mentions.get(symbol) || 0,
+    related: related.sort(SORTS[o.sort]).slice(0, o.limit)
+  };
+}
+
+module.exports = { GRAPH_DEFAULTS, RELATED_DEFAULTS, SORTS, coMentions, buildGraph, relatedTo };
@@ -0,0 +1,104 @@
+// Data freshness — how old the newest scan is, where the ~30 min scanner
+// cadence broke, and whether the data should be flagged as stale.
+
+const { SCAN_INTERVAL_MS } = require('./time');
+
+const DEFAULTS = {
+  staleAfterMs: 90 * 60 * 1000,     // newest scan older than this is stale
+  gapAfterMs: 2 * SCAN_INTERVAL_MS, // a silence this long is a gap
+  recentGaps: 10
+};
+
+function minutes(ms) {
+  return Math.round(ms / 60000);
+}
+
+// scans: sorted by ts
+function gapsIn(scans, gapAfterMs) {
+  const gaps = [];
+  for (let i = 1; i < scans.length; i++) {
+    const ms = scans[i].ts - scans[i - 1].ts;
+    if (ms < gapAfterMs) continue;
+    gaps.push({
+      from: scans[i - 1].timestamp,
+      to: scans[i].timestamp,
+      minutes: minutes(ms),
+      missedScans: Math.max(0, Math.round(ms / SCAN_INTERVAL_MS) - 1)
+    });
+  }
+  return gaps;
+}
+
+function medianInterval(scans) {
+  const d = [];
+  for (let i = 1; i < scans.length; i++) d.push(scans[i].ts - scans[i - 1].ts);
+  d.sort((a, b) => a - b);
+  return minutes(d[d.length >> 1]);
+}
+
+// Readable span, e.g. "13 days" or "20 hours"
+function spanText(ms) {
+  const hours = ms / 3600000;
+  if (hours < 48) return `${Math.max(1, Math.round(hours))} hours`;
+  return `${Math.round(hours / 24)} days`;
+}
+
+function dataHealth(scans, { now = Date.now(), ...opts } = {}) {
+  const o = { ...DEFAULTS, ...opts };
+  if (!scans.length) {
+    return {
+      status: 'empty',
+      scans: 0,
+      oldest: null,
+      newest: null,
+      ageMinutes: null,
+      stale: true,
+      staleAfterMinutes: minutes(o.staleAfterMs),
+      span: null,
+      cadence: null,
+      gaps: { count: 0, missedScans: 0, longest: null, recent: [] }
+    };
+  }
+  const oldest = scans[0];
+  const newest = scans[scans.length - 1];
+  const age = now - newest.ts;
+  const stale = age > o.staleAfterMs;
+  const gaps = gapsIn(scans, o.gapAfterMs);
+  const spanMs = newest.ts - oldest.ts;
+  const expected = Math.floor(spanMs / SCAN_INTERVAL_MS) + 1;
+  return {
+    status: stale ? 'stale' : 'ok',
+    scans: scans.length,
+    oldest: oldest.timestamp,
+    newest: newest.timestamp,
+    ageMinutes: minutes(age),
+    stale,
+    staleAfterMinutes: minutes(o.staleAfterMs),
+    span: { days: parseFloat((spanMs / 86400000).toFixed(1)), text: spanText(spanMs) },
+    cadence: {
+      expectedMinutes: minutes(SCAN_INTERVAL_MS),
+      medianMinutes: scans.length > 1 ? medianInterval(scans) : null,
+      coverage: parseFloat(Math.min(1, scans.length / expected).toFixed(2))
+    },
+    gaps: {
+      count: gaps.length,
+      missedScans: gaps.reduce((n, g) => n + g.missedScans, 0),
+      longest: gaps.reduce((a, g) => (!a || g.minutes > a.minutes ? g : a), null),
+      recent: gaps.slice(-o.recentGaps).reverse()
+    }
+  };
+}
+
+// "3 hours", "2 days" since the newest scan
+function ageText(ageMinutes) {
+  if (ageMinutes < 120) return `${ageMinutes} min`;
+  if (ageMinutes < 48 * 60) return `${Math.round(ageMinutes / 60)} hours`;
+  return `${Math.round(ageMinutes / 1440)} days`;
+}
+
+// "505 scans across 13 days"
+function datasetText(health) {
+  return health.scans ? `${health.scans} scans across ${health.span.text}` : 'no scans yet';
+}
+
+module.exports = { DEFAULTS, dataHealth, ageText, datasetText };
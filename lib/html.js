@@ -0,0 +1,76 @@
+// HTML templating for the web pages. `html` is a tagged template that
+// escapes every interpolated value unless it is itself `html` output (or
+// wrapped in raw()), so scraped tweet text, authors and URLs can't inject
+// markup. Values interpolated straight into href/src/action attributes must
+// pass safeUrl(): http(s) URLs and same-site paths only.
+
+const SAFE = Symbol('safe html');
+
+// Markup the caller vouches for; never pass it anything scraped
+function raw(markup) {
+  return { [SAFE]: String(markup), toString() { return this[SAFE]; } };
+}
+
+function escapeHtml(value) {
+  return String(value ?? '').replace(/[&<>"']/g, c => ({
+    '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+  })[c]);
+}
+
+// Absolute http(s) URLs, or paths/queries/fragments on this site; null otherwise
+function safeUrl(value) {
+  if (typeof value !== 'string') return null;
+  const url = value.trim();
+  if (/^[/?#]/.test(url) && !url.startsWith('//') && !url.startsWith('/\\')) return url;
+  try {
+    const parsed = new URL(url);
+    return parsed.protocol === 'http:' || parsed.protocol === 'https:' ? parsed.href : null;
+  } catch {
+    return null;
+  }
+}
+
+// null, undefined and false render as nothing; arrays render each item
+function render(value) {
+  if (value === null || value === undefined || value === false) return '';
+  if (Array.isArray(value)) return value.map(render).join('');
+  if (value[SAFE] !== undefined) return value[SAFE];
+  return escapeHtml(value);
+}
+
+const URL_ATTR = /\b(?:href|src|action)\s*=\s*["']?$/i;
+
+function html(strings, ...values) {
+  let out = strings[0];
+  values.forEach((value, i) => {
+    // A whole attribute value that is a URL: refuse anything but http(s)
+    if (URL_ATTR.test(out)) {
+      const url = safeUrl(value?.[SAFE] ?? value);
+      out += url === null ? '#' : escapeHtml(url);
+    } else {
+      out += render(value);
+    }
+    out += strings[i + 1];
+  });
+  return raw(out);
+}
+
+// Strict policy for the pages: our own scripts and styles only, plus the
+// Google Fonts stylesheet and font files. Inline style attributes stay
+// allowed for the numeric bar widths the views compute; scraped text never
+// reaches an attribute unescaped.
+const CONTENT_SECURITY_POLICY = [
+  "default-src 'self'",
+  "script-src 'self'",
+  "style-src 'self' https://fonts.googleapis.com",
+  "style-src-attr 'unsafe-inline'",
+  "font-src 'self' https://fonts.gstatic.com",
+  "img-src 'self' data:",
+  "connect-src 'self'",
+  "object-src 'none'",
+  "base-uri 'none'",
+  "form-action 'self'",
+  "frame-ancestors 'none'"
+].join('; ');
+
+module.exports = { html, raw, escapeHtml, safeUrl, render, CONTENT_SECURITY_POLICY };
@@ -0,0 +1,405 @@
+// Analytics over a scan store — windows, tickers, sentiment, regime, fear,
+// narratives and the brief that combines them. Shared by the HTTP server and
+// the ct-intel CLI, so a brief is the same wherever it is produced.
+
+const { SCHEMA_VERSION } = require('./schema');
+const { lowerBound, upperBound } = require('./store');
+const { parseTime } = require('./time');
+const series = require('./series');
+const { computeTrending } = require('./trending');
+const { tickerProfile } = require('./ticker');
+const authorIndex = require('./authors');
+const { aggregateSentiment, sentimentByTicker } = require('./sentiment');
+const { detectNarratives } = require('./narratives');
+const spam = require('./spam');
+const { createFearIndex } = require('./fear');
+const regimes = require('./regime');
+const graph = require('./graph');
+const { formatRatio } = require('./export');
+const health = require('./health');
+
+const DAY_MS = 24 * 3600 * 1000;
+
+// store: a loaded scan store; registry: ticker registry; spamConfig: filter
+// thresholds; narrativeConfig(): current narrative definitions;
+// staleAfterMs: age of the newest scan at which the data counts as stale
+function createIntel({ store, registry, spamConfig, narrativeConfig, staleAfterMs = health.DEFAULTS.staleAfterMs }) {
+  function dataHealth() {
+    return health.dataHealth(store.all(), { staleAfterMs });
+  }
+
+  // Resolve ?hours / ?from / ?to / ?asOf into an absolute window. `asOf`
+  // replays the trailing `hours` window as it stood at that moment; from/to
+  // pick an explicit range. ?unfiltered=1 rides along and turns off the spam
+  // filter for that request. Throws on unreadable times and on hours that
+  // aren't a positive number (fractions are fine: 0.5 is 30 minutes).
+  function parseWindow(query = {}) {
+    const hours = query.hours === undefined || query.hours === '' ? 24 : Number(query.hours);
+    if (!(hours > 0)) throw new Error(`invalid hours: ${query.hours}`);
+    const span = hours * 3600 * 1000;
+    let from, to, asOf = null;
+    if (query.from !== undefined || query.to !== undefined) {
+      to = query.to !== undefined ? parseTime(query.to) : Date.now();
+      if (to === null) throw new Error(`invalid to: ${query.to}`);
+      from = query.from !== undefined ? parseTime(query.from) : to - span;
+      if (from === null) throw new Error(`invalid from: ${query.from}`);
+      if (from > to) throw new Error('from must be before to');
+      asOf = to;
+    } else if (query.asOf !== undefined && query.asOf !== '') {
+      asOf = parseTime(query.asOf);
+      if (asOf === null) throw new Error(`invalid asOf: ${query.asOf}`);
+      to = asOf;
+      from = asOf - span;
+    } else {
+      to = Date.now();
+      from = to - span;
+    }
+    return {
+      from,
+      to,
+      asOf,
+      hours: parseFloat(((to - from) / 3600 / 1000).toFixed(2)),
+      unfiltered: query.unfiltered === '1' || query.unfiltered === 'true'
+    };
+  }
+
+  function recentWindow(hours = 24) {
+    return parseWindow({ hours });
+  }
+
+  function loadScans(window = recentWindow()) {
+    return store.range(window.from, window.to);
+  }
+
+  // Spam verdicts and filtered copies of the scans up to a cutoff, so a
+  // window scores only what had been captured by its end (author volume is
+  // judged over that history). Cached per cutoff, dropped when scans arrive.
+  const SPAM_CACHE_SIZE = 8;
+  let spamCache = { version: -1, byCutoff: new Map() };
+  function spamFiltered(to = Infinity) {
+    if (spamCache.version !== store.version()) spamCache = { version: store.version(), byCutoff: new Map() };
+    const all = store.all();
+    const cutoff = upperBound(all, to);
+    let entry = spamCache.byCutoff.get(cutoff);
+    if (!entry) {
+      const history = all.slice(0, cutoff);
+      const scores = spam.scorePosts(authorIndex.uniquePosts(history), spamConfig);
+      const scans = spam.filterScans(history, scores, spamConfig);
+      for (const s of scans) s.cutoff = cutoff;
+      entry = { scores, scans };
+      if (spamCache.byCutoff.size >= SPAM_CACHE_SIZE) spamCache.byCutoff.delete(spamCache.byCutoff.keys().next().value);
+      spamCache.byCutoff.set(cutoff, entry);
+    }
+    return entry;
+  }
+
+  // Scans behind the ticker, momentum and top-post signals: spam-filtered
+  // unless the window asked for unfiltered data
+  function signalScans(window, from = window.from, to = window.to) {
+    if (window.unfiltered) return store.range(from, to);
+    const { scans } = spamFiltered(window.to);
+    return scans.slice(lowerBound(scans, from), upperBound(scans, to));
+  }
+
+  // What the filter removed from a window (null when it was turned off)
+  function filterSummary(window, scans = signalScans(window)) {
+    if (window.unfiltered) return null;
+    return { threshold: spamConfig.threshold, dropped: spam.droppedTotals(scans, spamFiltered(window.to).scores) };
+  }
+
+  // ratio is null when there were no bearish posts to divide by
+  function analyzeSentiment(scans) {
+    if (!scans.length) return { bull: 0, bear: 0, ratio: null, trend: 'NO DATA', scans: 0 };
+
+    const { bullish: totalBull, bearish: totalBear } = store.rollup(scans);
+    const avgBull = totalBull / scans.length;
+    const avgBear = totalBear / scans.length;
+
+    // Trend: compare first half vs second half
+    const mid = Math.floor(scans.length / 2);
+    const firstHalf = scans.slice(0, mid);
+    const secondHalf = scans.slice(mid);
+    const firstBull = store.rollup(firstHalf).bullish / (firstHalf.length || 1);
+    const secondBull = store.rollup(secondHalf).bullish / (secondHalf.length || 1);
+    const trend = secondBull > firstBull * 1.1 ? 'RISING' : secondBull < firstBull * 0.9 ? 'DECLINING' : 'STABLE';
+
+    return {
+      bull: parseFloat(avgBull.toFixed(1)),
+      bear: parseFloat(avgBear.toFixed(1)),
+      ratio: avgBear > 0 ? parseFloat((avgBull / avgBear).toFixed(2)) : null,
+      trend,
+      scans: scans.length
+    };
+  }
+
+  // Top tickers with aliases merged, optionally limited to one asset class
+  function extractTickers(scans, { assetClass = null, limit = 20 } = {}) {
+    return Object.entries(registry.merge(store.rollup(scans).tickers))
+      .map(([name, mentions]) => ({ name, mentions, class: registry.classOf(name) }))
+      .filter(t => !assetClass || t.class === assetClass)
+      .sort((a, b) => b.mentions - a.mentions)
+      .slice(0, limit);
+  }
+
+  function extractCommodities(scans) {
+    // Gold appears in both commodities and metals — per-scan keyword totals
+    // already keep only one of them
+    return Object.entries(store.rollup(scans).keywords)
+      .sort((a, b) => b[1] - a[1])
+      .map(([name, mentions]) => ({ name, mentions }));
+  }
+
+  // Regime at the end of the window, with hysteresis across its buckets, and
+  // the plain classification of the window's totals for comparison
+  function detectRegime(window, scans = loadScans(window)) {
+    const timeline = regimes.regimeTimeline(scans, autoBucket(window));
+    const { bullish, bearish } = store.rollup(scans);
+    return {
+      label: timeline.current,
+      raw: regimes.classify(bullish, bearish),
+      transitions: timeline.transitions
+    };
+  }
+
+  // Composite fear index over all history, rebuilt when new scans arrive
+  let fearCache = { version: -1 };
+  function fearIndex() {
+    if (fearCache.version !== store.version()) {
+      fearCache = { version: store.version(), index: createFearIndex(store.all()) };
+    }
+    return fearCache.index;
+  }
+
+  // 0–100 score, label and component breakdown for the window
+  function fearReading(window) {
+    return fearIndex().index(window.from, window.to);
+  }
+
+  function getHighEngagement(scans, limit = 5) {
+    const posts = [];
+    for (const s of scans) {
+      for (const p of s.posts) {
+        if (p.featured || p.likes > 100) posts.push(p);
+      }
+    }
+    return posts
+      .sort((a, b) => (b.likes || 0) - (a.likes || 0))
+      .filter((p, i, arr) => arr.findIndex(q => (q.url || q.text) === (p.url || p.text)) === i) // dedup
+      .slice(0, limit)
+      .map(p => ({ author: p.author, likes: p.likes, retweets: p.retweets, text: p.text, url: p.url }));
+  }
+
+  // Window scans ranked against every scan before the window
+  function getTrending(window, opts = {}) {
+    return computeTrending(
+      signalScans(window),
+      signalScans(window, -Infinity, window.from - 1),
+      { resolve: registry.resolve, ...opts }
+    );
+  }
+
+  // Bucket size that keeps a drill-down chart readable for the window length;
+  // windows too long for daily buckets get whole-day multiples instead, so
+  // bucketize() never sees more than MAX_BUCKETS
+  function autoBucket(window) {
+    let bucket = window.hours <= 48 ? '1h' : window.hours <= 24 * 14 ? '4h' : '1d';
+    let bucketMs = series.parseBucket(bucket);
+    const count = Math.ceil((window.to - window.from + 1) / bucketMs) + 1;
+    if (count > series.MAX_BUCKETS) {
+      const days = Math.ceil((window.to - window.from + 1) / DAY_MS / (series.MAX_BUCKETS - 1));
+      bucket = `${days}d`;
+      bucketMs = days * DAY_MS;
+    }
+    return { from: window.from, to: window.to, bucket, bucketMs };
+  }
+
+  function getTickerProfile(symbol, window) {
+    const [canonical, ...aliases] = registry.namesFor(symbol);
+    return {
+      ...tickerProfile({
+        scans: loadScans(window),
+        // First/last seen and all-time counts stop where the window does
+        allScans: store.range(-Infinity, window.to),
+        symbol: canonical,
+        aliases,
+        bucket: autoBucket(window)
+      }),
+      registry: registry.get(canonical)
+    };
+  }
+
+  // Co-mention counts for the window's (spam-filtered) tweets
+  function coMentions(window) {
+    return graph.coMentions(authorIndex.uniquePosts(signalScans(window)), registry.resolve);
+  }
+
+  function getTickerGraph(window, opts = {}) {
+    return graph.buildGraph(coMentions(window), { classOf: registry.classOf, ...opts });
+  }
+
+  function getRelatedTickers(symbol, window, opts = {}) {
+    return graph.relatedTo(coMentions(window), registry.resolve(symbol), opts);
+  }
+
+  // Trend onsets only change when new scans arrive or aliases change. An
+  // onset depends only on the scans before it, so a window sees the ones up
+  // to its end and never credits calls on trends that came later.
+  let onsetCache = { version: null, onsets: {} };
+  function getAuthorIndex(window) {
+    const version = `${store.version()}:${registry.version()}`;
+    if (onsetCache.version !== version) {
+      onsetCache = { version, onsets: authorIndex.trendOnsets(store.all(), { resolve: registry.resolve }) };
+    }
+    const onsets = Object.fromEntries(Object.entries(onsetCache.onsets).filter(([, ts]) => ts !== null && ts <= window.to));
+    return authorIndex.buildAuthorIndex(loadScans(window), onsets, registry.resolve);
+  }
+
+  // Configured narratives plus co-mention clusters, compared with the window
+  // of the same length just before this one
+  function getNarratives(window, scans = loadScans(window), posts = authorIndex.uniquePosts(scans)) {
+    const previousScans = store.range(window.from - (window.to - window.from), window.from - 1);
+    return detectNarratives(
+      narrativeConfig(),
+      { scans, posts },
+      { scans: previousScans, posts: authorIndex.uniquePosts(previousScans) },
+      registry
+    );
+  }
+
+  // What alert rules see: the trailing window ending at the newest scan
+  function alertSnapshot(hours) {
+    const newest = store.status().newest;
+    const window = parseWindow({ hours, asOf: newest || undefined });
+    const scans = loadScans(window);
+    return {
+      at: newest,
+      scans: scans.length,
+      regime: detectRegime(window, scans).label,
+      fear: fearReading(window).label,
+      tickers: registry.merge(store.rollup(scans).tickers)
+    };
+  }
+
+  function generateBrief(window = recentWindow()) {
+    const scans = loadScans(window);
+    const clean = signalScans(window);
+    const sentiment = analyzeSentiment(scans);
+    const regime = detectRegime(window, scans);
+    const tickers = extractTickers(clean);
+    const commodities = extractCommodities(scans);
+    const fearIdx = fearReading(window);
+    const fear = fearIdx.label;
+    const topPosts = getHighEngagement(clean, 5);
+
+    // Momentum: tickers running hot against their own historical baseline
+    const trending = getTrending(window, { limit: 10 });
+    const momentum = trending.tickers.map(t => ({
+      name: t.name,
+      mentions: t.mentions,
+      change: t.baselineMentions === 0 ? 'NEW' : Math.round((t.ratio - 1) * 100),
+      z: t.z,
+      confidence: t.confidence,
+      status: t.status
+    }));
+
+    const posts = authorIndex.uniquePosts(scans);
+    const narratives = getNarratives(window, scans, posts);
+
+    // Text-level sentiment over the unique tweets captured in the window
+    const byTicker = sentimentByTicker(posts, tickers.slice(0, 15).map(t => t.name));
+    const textSentiment = {
+      overall: aggregateSentiment(posts),
+      tickers: tickers.slice(0, 15)
+        .filter(t => byTicker[t.name])
+        .map(t => ({ name: t.name, ...byTicker[t.name] }))
+    };
+
+    const now = new Date();
+    const ingest = store.status();
+    const fresh = dataHealth();
+    return {
+      generated: now.toISOString(),
+      generatedHuman: now.toLocaleString('en-US', { timeZone: 'America/New_York', dateStyle: 'full', timeStyle: 'short' }),
+      window: `${window.hours}h`,
+      from: new Date(window.from).toISOString(),
+      to: new Date(window.to).toISOString(),
+      asOf: window.asOf === null ? null : new Date(window.asOf).toISOString(),
+      scanCount: scans.length,
+      regime: {
+        label: regime.label,
+        raw: regime.raw,
+        transitions: regime.transitions,
+        sentiment,
+        fear
+      },
+      fearIndex: fearIdx,
+      textSentiment,
+      tickers: tickers.slice(0, 15),
+      momentum,
+      commodities: commodities.slice(0, 8),
+      narratives,
+      topPosts,
+      filter: filterSummary(window, clean),
+      meta: {
+        source: `Phil's CT Scanner — ${health.datasetText(fresh)}`,
+        description: 'Automated intelligence from Crypto Twitter monitoring',
+        agent: 'Phil (Clawdbot AI Agent)',
+        frequency: '~30 min scan interval',
+        schema: SCHEMA_VERSION,
+        ingest: {
+          source: ingest.source,
+          formats: ingest.formats,
+          failures: ingest.failures.length
+        },
+        freshness: {
+          status: fresh.status,
+          newest: fresh.newest,
+          ageMinutes: fresh.ageMinutes,
+          stale: fresh.stale,
+          staleAfterMinutes: fresh.staleAfterMinutes
+        }
+      }
+    };
+  }
+
+  function compactBrief(brief) {
+    return {
+      regime: brief.regime.label,
+      sentiment: `${brief.regime.sentiment.bull}%↑ ${brief.regime.sentiment.bear}%↓`,
+      ratio: formatRatio(brief.regime.sentiment),
+      trend: brief.regime.sentiment.trend,
+      fear: brief.regime.fear,
+      topTickers: brief.tickers.slice(0, 5).map(t => `$${t.name}(${t.mentions})`).join(' '),
+      scans: brief.scanCount
+    };
+  }
+
+  return {
+    parseWindow,
+    recentWindow,
+    loadScans,
+    spamFiltered,
+    signalScans,
+    filterSummary,
+    analyzeSentiment,
+    extractTickers,
+    extractCommodities,
+    detectRegime,
+    fearIndex,
+    fearReading,
+    getHighEngagement,
+    getTrending,
+    autoBucket,
+    getTickerProfile,
+    getTickerGraph,
+    getRelatedTickers,
+    getAuthorIndex,
+    getNarratives,
+    alertSnapshot,
+    generateBrief,
+    compactBrief,
+    dataHealth
+  };
+}
+
+module.exports = { createIntel };
@@ -0,0 +1,171 @@
+// API keys, rate limits and usage metering. Keys carry scopes (what they may
+// read or change), a per-minute rate limit and a per-day quota; only a hash
+// of each key is stored. Callers without a key are limited per IP address
+// and get the anonymous scopes.
+
+const crypto = require('crypto');
+const { readJson, writeJson } = require('./state');
+
+const SCOPES = ['brief', 'posts', 'ingest', 'admin'];
+const KEY_DEFAULTS = { rateLimit: 120, quota: 10000 };
+const ANONYMOUS_DEFAULTS = { scopes: ['brief'], rateLimit: 30 };
+const USAGE_DAYS = 30;
+const FLUSH_MS = 5000;
+
+class KeyError extends Error {}
+
+function hashKey(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+function today(now) {
+  return new Date(now).toISOString().slice(0, 10);
+}
+
+function validateKey(input) {
+  if (!input || typeof input !== 'object') throw new KeyError('key must be an object');
+  const key = { ...KEY_DEFAULTS, ...input };
+  if (typeof key.name !== 'string' || !key.name.trim()) throw new KeyError('name is required');
+  if (!Array.isArray(key.scopes) || !key.scopes.length || key.scopes.some(s => !SCOPES.includes(s))) {
+    throw new KeyError(`scopes must be a non-empty list of ${SCOPES.join(', ')}`);
+  }
+  if (!Number.isInteger(key.rateLimit) || key.rateLimit < 1) throw new KeyError('rateLimit (requests per minute) must be an integer >= 1');
+  if (key.quota !== null && (!Number.isInteger(key.quota) || key.quota < 1)) {
+    throw new KeyError('quota (requests per day) must be an integer >= 1, or null for none');
+  }
+  return { name: key.name.trim(), scopes: [...new Set(key.scopes)], rateLimit: key.rateLimit, quota: key.quota };
+}
+
+// Token bucket refilled continuously at limit/minute
+function take(bucket, limit, now) {
+  bucket.tokens = Math.min(limit, bucket.tokens + (now - bucket.at) / 60000 * limit);
+  bucket.at = now;
+  if (bucket.tokens < 1) return { ok: false, retryAfter: Math.ceil((1 - bucket.tokens) / limit * 60) };
+  bucket.tokens -= 1;
+  return { ok: true };
+}
+
+// anonymous: { scopes, rateLimit } for callers without a key
+function createKeyStore({ statePath, anonymous = {} }) {
+  const anon = { ...ANONYMOUS_DEFAULTS, ...anonymous };
+  const saved = readJson(statePath, { keys: [] });
+  const keys = new Map(saved.keys.map(k => [k.id, k]));
+  const byHash = new Map(saved.keys.map(k => [k.hash, k]));
+  const buckets = new Map();
+  let dirty = null;
+
+  function persist() {
+    writeJson(statePath, { keys: [...keys.values()] });
+  }
+
+  // Usage changes on every request; write it out at most every FLUSH_MS
+  function persistSoon() {
+    if (dirty) return;
+    dirty = setTimeout(() => {
+      dirty = null;
+      persist();
+    }, FLUSH_MS);
+    dirty.unref();
+  }
+
+  function flush() {
+    if (!dirty) return;
+    clearTimeout(dirty);
+    dirty = null;
+    persist();
+  }
+
+  function view(k) {
+    const { hash, ...rest } = k;
+    return rest;
+  }
+
+  // Returns the record plus the plaintext key, which is never shown again
+  function issue(input) {
+    const record = validateKey(input);
+    const secret = `ctk_${crypto.randomBytes(24).toString('hex')}`;
+    const key = {
+      id: crypto.randomBytes(6).toString('hex'),
+      ...record,
+      hash: hashKey(secret),
+      prefix: secret.slice(0, 8),
+      created: new Date().toISOString(),
+      revoked: null,
+      usage: { total: 0, lastUsed: null, days: {}, routes: {} }
+    };
+    keys.set(key.id, key);
+    byHash.set(key.hash, key);
+    persist();
+    return { ...view(key), key: secret };
+  }
+
+  function revoke(id) {
+    const key = keys.get(id);
+    if (!key || key.revoked) return null;
+    key.revoked = new Date().toISOString();
+    buckets.delete(id);
+    persist();
+    return view(key);
+  }
+
+  function list() {
+    return [...keys.values()].map(view);
+  }
+
+  function get(id) {
+    const key = keys.get(id);
+    return key ? view(key) : null;
+  }
+
+  // Principal for a presented key: the key record, or null when unknown or revoked
+  function authenticate(secret) {
+    const key = byHash.get(hashKey(secret));
+    return key && !key.revoked ? key : null;
+  }
+
+  function anonymousPrincipal(ip) {
+    return { id: `ip:${ip}`, anonymous: true, scopes: anon.scopes, rateLimit: anon.rateLimit, quota: null };
+  }
+
+  // Charge one request against the principal's rate limit and daily quota
+  function consume(principal, now = Date.now()) {
+    const bucket = buckets.get(principal.id) || { tokens: principal.rateLimit, at: now };
+    buckets.set(principal.id, bucket);
+    const rate = take(bucket, principal.rateLimit, now);
+    const result = { limit: principal.rateLimit, remaining: Math.floor(bucket.tokens) };
+    if (!rate.ok) return { ...result, ok: false, retryAfter: rate.retryAfter, reason: 'rate limit exceeded' };
+    if (principal.quota !== null && principal.usage) {
+      const used = principal.usage.days[today(now)] || 0;
+      if (used >= principal.quota) {
+        const midnight = Math.ceil((now + 1) / 86400000) * 86400000;
+        return { ...result, ok: false, retryAfter: Math.ceil((midnight - now) / 1000), reason: 'daily quota exhausted' };
+      }
+    }
+    return { ...result, ok: true };
+  }
+
+  // Count a served request against a key (anonymous traffic isn't metered)
+  function record(principal, route, now = Date.now()) {
+    if (!principal.usage) return;
+    const u = principal.usage;
+    const day = today(now);
+    u.total++;
+    u.lastUsed = new Date(now).toISOString();
+    u.days[day] = (u.days[day] || 0) + 1;
+    u.routes[route] = (u.routes[route] || 0) + 1;
+    const days = Object.keys(u.days).sort();
+    for (const d of days.slice(0, Math.max(0, days.length - USAGE_DAYS))) delete u.days[d];
+    persistSoon();
+  }
+
+  // Idle anonymous buckets are full again after a minute; drop them
+  const sweep = setInterval(() => {
+    const now = Date.now();
+    for (const [id, b] of buckets) if (id.startsWith('ip:') && now - b.at > 60000) buckets.delete(id);
+  }, 60000);
+  sweep.unref();
+
+  return { issue, revoke, list, get, authenticate, anonymousPrincipal, consume, record, flush };
+}
+
+module.exports = { SCOPES, KEY_DEFAULTS, ANONYMOUS_DEFAULTS, KeyError, createKeyStore };
@@ -0,0 +1,224 @@
+// Narrative detection — narratives are declared in narratives.json (ticker
+// sets, registry asset classes, keywordMentions terms, byCategory buckets,
+// text terms, thresholds),
+// plus emerging themes found by clustering tickers that keep getting
+// mentioned in the same tweets.
+
+const fs = require('fs');
+const { readJson } = require('./state');
+
+const NARRATIVE_DEFAULTS = {
+  tickers: [],
+  excludeTickers: [],
+  keywords: [],
+  categories: [],
+  classes: [],
+  terms: [],
+  minTickers: 0,
+  minPerScan: 0
+};
+const CLUSTER_DEFAULTS = { minShared: 2, minJaccard: 0.25, minSize: 3, exclude: [], limit: 3 };
+const SUPPORTING_POSTS = 3;
+
+function upper(list) {
+  return new Set((list || []).map(t => String(t).replace(/^\$/, '').toUpperCase()));
+}
+
+function validateNarrative(raw, i) {
+  if (!raw || typeof raw !== 'object') throw new Error(`narrative #${i} is not an object`);
+  if (!raw.id || !raw.label) throw new Error(`narrative #${i} needs an id and a label`);
+  const n = { ...NARRATIVE_DEFAULTS, icon: '📡', ...raw };
+  for (const key of ['tickers', 'excludeTickers', 'keywords', 'categories', 'classes', 'terms']) {
+    if (!Array.isArray(n[key])) throw new Error(`narrative ${n.id}: ${key} must be a list`);
+  }
+  if (!n.tickers.length && !n.keywords.length && !n.categories.length && !n.classes.length && !n.terms.length) {
+    throw new Error(`narrative ${n.id} matches nothing (no tickers, keywords, categories, classes or terms)`);
+  }
+  return {
+    ...n,
+    tickerSet: upper(n.tickers),
+    excludeSet: upper(n.excludeTickers),
+    keywords: n.keywords.map(k => k.toLowerCase()),
+    terms: n.terms.map(t => t.toLowerCase())
+  };
+}
+
+// Reads the config; a broken file logs and falls back to no narratives
+// rather than taking the brief down with it
+function loadNarrativeConfig(file, log = console.log) {
+  const raw = readJson(file, { narratives: [] }, log);
+  const narratives = [];
+  (raw.narratives || []).forEach((n, i) => {
+    try {
+      narratives.push(validateNarrative(n, i));
+    } catch (e) {
+      log(`Skipping narrative in ${file}: ${e.message}`);
+    }
+  });
+  return { narratives, cluster: { ...CLUSTER_DEFAULTS, ...(raw.cluster || {}) } };
+}
+
+// Config getter that re-reads the file whenever it changes on disk, so
+// analysts can edit narratives without a restart
+function watchNarrativeConfig(file, log = console.log) {
+  let mtime = null;
+  let config = { narratives: [], cluster: { ...CLUSTER_DEFAULTS } };
+  return () => {
+    let current = null;
+    try {
+      current = fs.statSync(file).mtimeMs;
+    } catch (e) {}
+    if (current !== mtime) {
+      mtime = current;
+      config = loadNarrativeConfig(file, log);
+    }
+    return config;
+  };
+}
+
+// measure() compares canonical symbols, so configured ones are resolved too
+// (tickers.json makes XAU an alias of GOLD)
+function resolved(set, resolve) {
+  return new Set([...set].map(resolve));
+}
+
+function withRegistry(n, registry) {
+  return { ...n, tickerSet: resolved(n.tickerSet, registry.resolve), excludeSet: resolved(n.excludeSet, registry.resolve) };
+}
+
+function hasTerm(text, terms) {
+  const t = text.toLowerCase();
+  return terms.some(term => new RegExp(`\\b${term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}\\b`).test(t));
+}
+
+// Strength of one narrative over a list of scans: ticker mentions (by set,
+// category or asset class), keyword mentions and posts quoting its terms.
+// registry: { resolve, classOf } for alias merging and asset classes.
+function measure(n, scans, posts, registry) {
+  let strength = 0;
+  const tickers = {};
+  for (const s of scans) {
+    for (const [name, count] of Object.entries(s.tickers)) {
+      const key = registry.resolve(name);
+      if (n.excludeSet.has(key)) continue;
+      if (n.tickerSet.has(key) || n.categories.includes(s.categories[name]) || n.classes.includes(registry.classOf(key))) {
+        tickers[key] = (tickers[key] || 0) + count;
+        strength += count;
+      }
+    }
+    for (const term of n.keywords) strength += s.agg.keywords[term] || 0;
+  }
+  const supporting = posts.filter(p =>
+    p.tickers.some(t => tickers[registry.resolve(t)]) ||
+    (n.keywords.length && hasTerm(p.text, n.keywords)) ||
+    (n.terms.length && hasTerm(p.text, n.terms))
+  );
+  if (n.terms.length) strength += posts.filter(p => hasTerm(p.text, n.terms)).length;
+  return { strength, tickers, supporting };
+}
+
+function changeVs(current, previous) {
+  if (previous === null) return null;
+  if (previous === 0) return current > 0 ? 'NEW' : 0;
+  return Math.round((current - previous) / previous * 100);
+}
+
+function topPosts(posts) {
+  return [...posts]
+    .sort((a, b) => (b.likes + 2 * b.retweets) - (a.likes + 2 * a.retweets))
+    .slice(0, SUPPORTING_POSTS)
+    .map(p => ({ author: p.author, text: p.text, likes: p.likes, retweets: p.retweets, url: p.url }));
+}
+
+// Connected components of the co-mention graph, keeping only edges where two
+// tickers share enough posts (count and Jaccard overlap). resolve: raw
+// spelling → canonical symbol, so aliases land in one node.
+function clusterThemes(posts, opts = {}, resolve = t => t.toUpperCase()) {
+  const o = { ...CLUSTER_DEFAULTS, ...opts };
+  const exclude = resolved(upper(o.exclude), resolve);
+  const postsBy = {};
+  const pairs = {};
+  for (const p of posts) {
+    const names = [...new Set(p.tickers.map(resolve))].filter(t => !exclude.has(t)).sort();
+    for (const t of names) postsBy[t] = (postsBy[t] || 0) + 1;
+    for (let i = 0; i < names.length; i++) {
+      for (let j = i + 1; j < names.length; j++) {
+        const key = `${names[i]}|${names[j]}`;
+        pairs[key] = (pairs[key] || 0) + 1;
+      }
+    }
+  }
+
+  const parent = {};
+  const find = t => (parent[t] === undefined || parent[t] === t ? t : (parent[t] = find(parent[t])));
+  for (const [key, shared] of Object.entries(pairs)) {
+    const [a, b] = key.split('|');
+    const jaccard = shared / (postsBy[a] + postsBy[b] - shared);
+    if (shared < o.minShared || jaccard < o.minJaccard) continue;
+    parent[a] = parent[a] ?? a;
+    parent[b] = parent[b] ?? b;
+    parent[find(a)] = find(b);
+  }
+
+  const groups = {};
+  for (const t of Object.keys(parent)) (groups[find(t)] = groups[find(t)] || []).push(t);
+  return Object.values(groups)
+    .filter(g => g.length >= o.minSize)
+    .map(g => g.sort((a, b) => postsBy[b] - postsBy[a]))
+    .sort((a, b) => b.reduce((x, t) => x + postsBy[t], 0) - a.reduce((x, t) => x + postsBy[t], 0))
+    .slice(0, o.limit);
+}
+
+const PLAIN_REGISTRY = { resolve: name => name.toUpperCase(), classOf: () => null };
+
+// current/previous: { scans, posts } for this window and the one before it
+function detectNarratives(config, current, previous, registry = PLAIN_REGISTRY) {
+  const out = [];
+  const perScan = (strength, scans) => scans.length ? strength / scans.length : 0;
+
+  for (const configured of config.narratives) {
+    const n = withRegistry(configured, registry);
+    const now = measure(n, current.scans, current.posts, registry);
+    const rate = perScan(now.strength, current.scans);
+    if (!now.strength) continue;
+    if (Object.keys(now.tickers).length < n.minTickers) continue;
+    if (rate < n.minPerScan) continue;
+    const before = previous.scans.length ? measure(n, previous.scans, previous.posts, registry) : null;
+    out.push({
+      id: n.id,
+      type: n.icon,
+      label: n.label,
+      source: 'config',
+      strength: now.strength,
+      perScan: parseFloat(rate.toFixed(2)),
+      change: before ? changeVs(rate, perScan(before.strength, previous.scans)) : null,
+      tickers: Object.entries(now.tickers)
+        .sort((a, b) => b[1] - a[1])
+        .slice(0, 8)
+        .map(([name, mentions]) => ({ name, mentions })),
+      posts: topPosts(now.supporting)
+    });
+  }
+
+  for (const group of clusterThemes(current.posts, config.cluster, registry.resolve)) {
+    const n = { ...NARRATIVE_DEFAULTS, id: `cluster:${group.join('+')}`, tickerSet: new Set(group), excludeSet: new Set() };
+    const now = measure(n, current.scans, current.posts, registry);
+    const before = previous.scans.length ? measure(n, previous.scans, previous.posts, registry) : null;
+    const rate = perScan(now.strength, current.scans);
+    out.push({
+      id: n.id,
+      type: '🧬',
+      label: `Emerging theme: ${group.slice(0, 4).map(t => '$' + t).join(' + ')}${group.length > 4 ? ` +${group.length - 4}` : ''}`,
+      source: 'cluster',
+      strength: now.strength,
+      perScan: parseFloat(rate.toFixed(2)),
+      change: before ? changeVs(rate, perScan(before.strength, previous.scans)) : null,
+      tickers: group.map(name => ({ name, mentions: now.tickers[name] || 0 })),
+      posts: topPosts(now.supporting)
+    });
+  }
+
+  return out.sort((a, b) => b.strength - a.strength);
+}
+
+module.exports = { loadNarrativeConfig, watchNarrativeConfig, validateNarrative, clusterThemes, detectNarratives };
@@ -0,0 +1,114 @@
+// Market regime from bull/bear sentiment counts, bucket by bucket. A
+// bucket's own ratio only moves the regime once it clears the current
+// regime's band by `margin` for `confirm` buckets in a row, so a noisy hour
+// doesn't flip the label back and forth. Transitions and the periods
+// between them come out with timestamps and durations.
+
+const { sentimentSeries } = require('./series');
+
+// Lowest bull:bear ratio for each regime, most bearish first
+const REGIMES = [
+  { label: 'BEARISH', min: 0 },
+  { label: 'LEANING BEAR', min: 0.4 },
+  { label: 'NEUTRAL', min: 0.7 },
+  { label: 'LEANING BULL', min: 1.5 },
+  { label: 'BULLISH', min: 2.5 },
+  { label: 'EUPHORIA', min: 4 }
+];
+const NO_DATA = 'NO DATA';
+const DEFAULTS = { confirm: 2, margin: 0.1 };
+
+// Add-one smoothing keeps the ratio finite when one side is zero, and
+// pulls thin samples toward neutral (2 bulls, 0 bears is not euphoria)
+function smoothedRatio(bullish, bearish) {
+  return (bullish + 1) / (bearish + 1);
+}
+
+function levelOf(ratio) {
+  let level = 0;
+  for (let i = 0; i < REGIMES.length; i++) if (ratio >= REGIMES[i].min) level = i;
+  return level;
+}
+
+// Regime for summed counts, without hysteresis
+function classify(bullish, bearish) {
+  if (!bullish && !bearish) return NO_DATA;
+  return REGIMES[levelOf(smoothedRatio(bullish, bearish))].label;
+}
+
+// Whether `ratio` lies outside `level`'s band widened by `margin`
+function outside(level, ratio, margin) {
+  const lo = REGIMES[level].min * (1 - margin);
+  const hi = level + 1 < REGIMES.length ? REGIMES[level + 1].min * (1 + margin) : Infinity;
+  return ratio < lo || ratio >= hi;
+}
+
+// scans in [from, to]; bucket: { from, to, bucketMs }
+function regimeTimeline(scans, bucket, opts = {}) {
+  const { confirm, margin } = { ...DEFAULTS, ...opts };
+  const points = [];
+  const transitions = [];
+  let level = null;
+  let pending = 0;
+
+  for (const b of sentimentSeries(scans, bucket)) {
+    const point = { start: b.start, end: b.end, scans: b.scans, bullish: b.bullish, bearish: b.bearish };
+    if (!b.bullish && !b.bearish) {
+      // Gaps neither confirm nor break a pending switch
+      points.push({ ...point, ratio: null, raw: NO_DATA, regime: level === null ? NO_DATA : REGIMES[level].label });
+      continue;
+    }
+    const ratio = smoothedRatio(b.bullish, b.bearish);
+    const raw = levelOf(ratio);
+    if (level === null) {
+      level = raw;
+    } else if (raw !== level && outside(level, ratio, margin)) {
+      pending++;
+      if (pending >= confirm) {
+        transitions.push({ at: b.start, from: REGIMES[level].label, to: REGIMES[raw].label, ratio: parseFloat(ratio.toFixed(2)) });
+        level = raw;
+        pending = 0;
+      }
+    } else {
+      pending = 0;
+    }
+    points.push({ ...point, ratio: parseFloat(ratio.toFixed(2)), raw: REGIMES[raw].label, regime: REGIMES[level].label });
+  }
+
+  // How long each new regime held: until the next transition, or the end
+  // of the range for the one still in force
+  const end = points.length ? Date.parse(points[points.length - 1].end) : null;
+  transitions.forEach((t, i) => {
+    const until = i + 1 < transitions.length ? Date.parse(transitions[i + 1].at) : end;
+    t.hours = parseFloat(((until - Date.parse(t.at)) / 3600 / 1000).toFixed(2));
+    t.ongoing = i === transitions.length - 1;
+  });
+
+  return {
+    current: level === null ? NO_DATA : REGIMES[level].label,
+    points,
+    transitions,
+    periods: periodsOf(points)
+  };
+}
+
+// Runs of the same (hysteresis) regime, with durations in hours
+function periodsOf(points) {
+  const periods = [];
+  for (const p of points) {
+    const last = periods[periods.length - 1];
+    if (last && last.regime === p.regime) {
+      last.end = p.end;
+      last.buckets++;
+      last.scans += p.scans;
+      continue;
+    }
+    periods.push({ regime: p.regime, start: p.start, end: p.end, buckets: 1, scans: p.scans });
+  }
+  return periods.map(p => ({
+    ...p,
+    hours: parseFloat(((Date.parse(p.end) - Date.parse(p.start)) / 3600 / 1000).toFixed(2))
+  }));
+}
+
+module.exports = { REGIMES, NO_DATA, DEFAULTS, smoothedRatio, classify, regimeTimeline };
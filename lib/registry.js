@@ -0,0 +1,216 @@
+// Ticker registry — one entry per symbol with its asset class, aliases,
+// chain and known contract addresses. Entries are seeded from the scanner's
+// byCategory buckets, overridden by tickers.json, and edited through the
+// admin API (persisted to the state dir). Aliases (case variants are folded
+// automatically) resolve to one canonical symbol so counts merge.
+
+const { readJson, writeJson } = require('./state');
+const { extractContracts } = require('./contracts');
+const { normalizeSymbol } = require('./ticker');
+
+const ASSET_CLASSES = ['crypto-major', 'meme', 'stablecoin', 'crypto', 'stock', 'index', 'metal', 'commodity'];
+
+// Scanner category → asset class. The scanner files every non-major token
+// under `crypto`, majors like BNB included, so that stays plain `crypto`;
+// memecoins and stablecoins are tagged in tickers.json.
+const CATEGORY_CLASS = {
+  'crypto-major': 'crypto-major',
+  crypto: 'crypto',
+  stock: 'stock',
+  index: 'index',
+  metal: 'metal',
+  commodity: 'commodity'
+};
+
+class RegistryError extends Error {}
+
+// Validates the editable fields of an override; returns only those present
+function validateEntry(input) {
+  if (!input || typeof input !== 'object') throw new RegistryError('entry must be an object');
+  const out = {};
+  if (input.class !== undefined) {
+    if (!ASSET_CLASSES.includes(input.class)) {
+      throw new RegistryError(`class must be one of ${ASSET_CLASSES.join(', ')}`);
+    }
+    out.class = input.class;
+  }
+  if (input.aliases !== undefined) {
+    if (!Array.isArray(input.aliases) || input.aliases.some(a => !normalizeSymbol(a))) {
+      throw new RegistryError('aliases must be a list of symbols');
+    }
+    out.aliases = [...new Set(input.aliases.map(normalizeSymbol))];
+  }
+  if (input.chain !== undefined) {
+    if (input.chain !== null && (typeof input.chain !== 'string' || !input.chain.trim())) {
+      throw new RegistryError('chain must be a name or null');
+    }
+    out.chain = input.chain && input.chain.trim().toLowerCase();
+  }
+  if (input.contracts !== undefined) {
+    if (!Array.isArray(input.contracts)) throw new RegistryError('contracts must be a list of addresses');
+    out.contracts = input.contracts.map(address => {
+      const found = extractContracts(String(address));
+      if (found.length !== 1 || found[0].address !== String(address).trim()) {
+        throw new RegistryError(`not an EVM or Solana contract address: ${address}`);
+      }
+      return found[0];
+    });
+  }
+  if (input.name !== undefined) {
+    if (input.name !== null && typeof input.name !== 'string') throw new RegistryError('name must be a string');
+    out.name = input.name || null;
+  }
+  return out;
+}
+
+// log: where skipped config entries and unreadable files are reported
+function createTickerRegistry({ configPath, statePath, log = console.log }) {
+  const config = configPath ? readJson(configPath, null, log) : null;
+  const saved = readJson(statePath, { tickers: {} }, log);
+
+  let seeded = {};          // symbol → { category, class }
+  const configured = {};    // symbol → override from tickers.json
+  const edited = {};        // symbol → override from the admin API
+  let entries = new Map();  // canonical symbol → merged entry
+  let aliasOf = new Map();  // alias → canonical symbol
+  let version = 0;          // bumped on every rebuild, keys callers' caches
+
+  for (const [raw, entry] of Object.entries(config?.tickers || {})) {
+    try {
+      configured[normalizeSymbol(raw)] = validateEntry(entry);
+    } catch (e) {
+      log(`Skipping ticker ${raw} in ${configPath}: ${e.message}`);
+    }
+  }
+  for (const [symbol, entry] of Object.entries(saved.tickers || {})) edited[symbol] = entry;
+
+  // Merge seed, config and API layers and rebuild the alias index. An
+  // alias that points at a symbol with its own entry absorbs that entry.
+  function rebuild() {
+    const next = new Map();
+    const symbols = new Set([...Object.keys(seeded), ...Object.keys(configured), ...Object.keys(edited)]);
+    for (const symbol of symbols) {
+      const seed = seeded[symbol];
+      const entry = {
+        symbol,
+        name: null,
+        class: seed?.class || null,
+        category: seed?.category || null,
+        aliases: [],
+        chain: null,
+        contracts: [],
+        source: 'seed',
+        ...(configured[symbol] ? { ...configured[symbol], source: 'config' } : {}),
+        ...(edited[symbol] ? { ...edited[symbol], source: 'api' } : {})
+      };
+      next.set(symbol, entry);
+    }
+    const aliases = new Map();
+    for (const entry of next.values()) {
+      for (const alias of entry.aliases) {
+        if (alias !== entry.symbol && !aliases.has(alias)) aliases.set(alias, entry.symbol);
+      }
+    }
+    for (const alias of aliases.keys()) {
+      const absorbed = next.get(alias);
+      if (!absorbed) continue;
+      const target = next.get(aliases.get(alias));
+      target.class = target.class || absorbed.class;
+      target.category = target.category || absorbed.category;
+      next.delete(alias);
+    }
+    entries = next;
+    aliasOf = aliases;
+    version++;
+  }
+
+  // Classify every symbol by the category the scanner filed it under most
+  function seed(scans) {
+    const votes = {};
+    for (const s of scans) {
+      for (const [name, category] of Object.entries(s.categories)) {
+        const symbol = normalizeSymbol(name);
+        const v = votes[symbol] || (votes[symbol] = {});
+        v[category] = (v[category] || 0) + 1;
+      }
+    }
+    seeded = {};
+    for (const [symbol, v] of Object.entries(votes)) {
+      const category = Object.entries(v).sort((a, b) => b[1] - a[1])[0][0];
+      seeded[symbol] = { category, class: CATEGORY_CLASS[category] || 'crypto' };
+    }
+    rebuild();
+  }
+
+  function resolve(name) {
+    const symbol = normalizeSymbol(name);
+    return aliasOf.get(symbol) || symbol;
+  }
+
+  function get(name) {
+    return entries.get(resolve(name)) || null;
+  }
+
+  function classOf(name) {
+    return get(name)?.class || null;
+  }
+
+  // Every raw spelling that resolves to this symbol
+  function namesFor(name) {
+    const symbol = resolve(name);
+    return [symbol, ...(entries.get(symbol)?.aliases || []).filter(a => aliasOf.get(a) === symbol)];
+  }
+
+  function list({ class: cls } = {}) {
+    return [...entries.values()]
+      .filter(e => !cls || e.class === cls)
+      .sort((a, b) => a.symbol.localeCompare(b.symbol));
+  }
+
+  // { rawName: count } → { CANONICAL: count }
+  function merge(counts) {
+    const out = {};
+    for (const [name, count] of Object.entries(counts)) {
+      const symbol = resolve(name);
+      out[symbol] = (out[symbol] || 0) + count;
+    }
+    return out;
+  }
+
+  function persist() {
+    writeJson(statePath, { tickers: edited });
+  }
+
+  // Upsert an admin override; fields not given keep their current value
+  function set(name, input) {
+    const symbol = normalizeSymbol(name);
+    if (!symbol) throw new RegistryError('symbol is required');
+    if (aliasOf.has(symbol)) throw new RegistryError(`${symbol} is an alias of ${aliasOf.get(symbol)}`);
+    const override = { ...edited[symbol], ...validateEntry(input) };
+    for (const alias of override.aliases || []) {
+      const owner = aliasOf.get(alias);
+      if (owner && owner !== symbol) throw new RegistryError(`${alias} is already an alias of ${owner}`);
+      if (entries.get(alias)?.aliases.length) throw new RegistryError(`${alias} has aliases of its own`);
+    }
+    override.updated = new Date().toISOString();
+    edited[symbol] = override;
+    persist();
+    rebuild();
+    return entries.get(symbol);
+  }
+
+  // Drops the admin override; the seeded/config entry (if any) remains
+  function remove(name) {
+    const symbol = normalizeSymbol(name);
+    if (!edited[symbol]) return false;
+    delete edited[symbol];
+    persist();
+    rebuild();
+    return true;
+  }
+
+  rebuild();
+  return { seed, resolve, get, classOf, namesFor, list, merge, set, remove, version: () => version };
+}
+
+module.exports = { ASSET_CLASSES, CATEGORY_CLASS, RegistryError, createTickerRegistry };
@@ -0,0 +1,380 @@
+// Canonical scan model — every scan format the scanner has ever written is
+// normalized into one record shape at ingest, so downstream metrics never
+// have to know which format a scan came from.
+
+const SCHEMA_VERSION = 1;
+
+// Metals show up under both `commodities` and `metals`; they're the same
+// signal, so when totalling keywords across categories keep the max.
+const KEYWORD_CATEGORIES = ['commodities', 'metals', 'macro', 'industry'];
+
+// ── Field helpers ────────────────────────────────────────
+
+function cleanTicker(raw) {
+  if (typeof raw !== 'string') return null;
+  const name = raw.trim().replace(/^\$/, '');
+  return name || null;
+}
+
+function toCount(n) {
+  const v = Number(n);
+  return Number.isFinite(v) && v > 0 ? v : 0;
+}
+
+function addCount(map, key, count) {
+  if (!key || !count) return;
+  map[key] = (map[key] || 0) + count;
+}
+
+function parseTimestamp(raw) {
+  if (raw === undefined || raw === null || raw === '') return null;
+  const ts = new Date(raw).getTime();
+  return Number.isFinite(ts) ? ts : null;
+}
+
+function normalizeSentiment(raw, total) {
+  const s = raw && typeof raw === 'object' ? raw : {};
+  const bullish = toCount(s.bullish);
+  const bearish = toCount(s.bearish);
+  const neutral = toCount(s.neutral);
+  return {
+    bullish,
+    bearish,
+    neutral,
+    total: toCount(s.total) || toCount(total) || bullish + bearish + neutral
+  };
+}
+
+function normalizePost(raw, extra = {}) {
+  if (!raw || typeof raw !== 'object') return null;
+  const text = typeof raw.text === 'string' ? raw.text : '';
+  const author = raw.author || raw.username || null;
+  if (!text && !author) return null;
+  return {
+    author,
+    text,
+    likes: toCount(raw.likes),
+    retweets: toCount(raw.retweets),
+    url: typeof raw.url === 'string' ? raw.url : null,
+    tickers: [],
+    featured: false,
+    ...extra
+  };
+}
+
+function postKey(p) {
+  return p.url || `${p.author}\u0000${p.text}`;
+}
+
+// Merge posts that appear in several places of the same scan (a tweet can be
+// both in highEngagement and under every ticker it mentions).
+function mergePosts(posts) {
+  const byKey = new Map();
+  for (const p of posts) {
+    if (!p) continue;
+    const key = postKey(p);
+    const existing = byKey.get(key);
+    if (!existing) {
+      byKey.set(key, { ...p, tickers: [...p.tickers] });
+      continue;
+    }
+    existing.likes = Math.max(existing.likes, p.likes);
+    existing.retweets = Math.max(existing.retweets, p.retweets);
+    existing.url = existing.url || p.url;
+    existing.featured = existing.featured || p.featured;
+    for (const t of p.tickers) {
+      if (!existing.tickers.includes(t)) existing.tickers.push(t);
+    }
+  }
+  return [...byKey.values()];
+}
+
+function normalizeKeywordGroup(raw) {
+  const out = {};
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) return out;
+  for (const [term, count] of Object.entries(raw)) {
+    addCount(out, term.toLowerCase(), toCount(count));
+  }
+  return out;
+}
+
+const TICKER_RE = /\$([A-Za-z][A-Za-z0-9]{0,14})\b/g;
+
+function tickersInText(text) {
+  const found = new Set();
+  for (const m of (text || '').matchAll(TICKER_RE)) found.add(m[1]);
+  return [...found];
+}
+
+// ── Format adapters ──────────────────────────────────────
+// Each adapter takes the raw parsed JSON and returns the format-specific part
+// of a canonical record. `detect` decides which adapter owns a scan; order
+// matters, the first match wins.
+
+const ADAPTERS = [
+  {
+    // Raw tweet dumps: { tweets: [{ username, text, likes, url }] }
+    format: 'tweets',
+    detect: raw => Array.isArray(raw.tweets),
+    adapt(raw) {
+      const tickers = {};
+      const posts = raw.tweets.map(t => {
+        const post = normalizePost(t);
+        if (post) post.tickers = tickersInText(post.text);
+        return post;
+      }).filter(Boolean);
+      for (const p of posts) {
+        for (const t of p.tickers) addCount(tickers, t, 1);
+      }
+      return {
+        tickers,
+        categories: {},
+        keywords: {},
+        posts,
+        notable: [],
+        tweets: raw.tweets.length
+      };
+    }
+  },
+  {
+    // Current scanner output: topTickers / byCategory / keywordMentions /
+    // tickerDetails / highEngagement. byCategory is the complete,
+    // categorized count; topTickers is its top-N slice, so it's only used
+    // when byCategory is missing.
+    format: 'scanner',
+    detect: raw => !!(raw.byCategory || raw.topTickers || raw.tickerDetails || raw.keywordMentions),
+    adapt(raw) {
+      const tickers = {};
+      const categories = {};
+      if (raw.byCategory && typeof raw.byCategory === 'object') {
+        for (const [category, items] of Object.entries(raw.byCategory)) {
+          if (!Array.isArray(items)) continue;
+          for (const item of items) {
+            const name = cleanTicker(item?.ticker);
+            if (!name) continue;
+            addCount(tickers, name, toCount(item.count));
+            categories[name] = categories[name] || category;
+          }
+        }
+      } else if (Array.isArray(raw.topTickers)) {
+        for (const entry of raw.topTickers) {
+          if (Array.isArray(entry) && entry.length >= 2) {
+            addCount(tickers, cleanTicker(entry[0]), toCount(entry[1]));
+          }
+        }
+      }
+      if (raw.tickers && typeof raw.tickers === 'object' && !Object.keys(tickers).length) {
+        for (const [ticker, count] of Object.entries(raw.tickers)) {
+          addCount(tickers, cleanTicker(ticker), toCount(count));
+        }
+      }
+
+      const keywords = {};
+      if (raw.keywordMentions && typeof raw.keywordMentions === 'object') {
+        for (const [category, group] of Object.entries(raw.keywordMentions)) {
+          keywords[category] = normalizeKeywordGroup(group);
+        }
+      }
+
+      const posts = [];
+      if (Array.isArray(raw.highEngagement)) {
+        for (const p of raw.highEngagement) {
+          const post = normalizePost(p, { featured: true });
+          if (post) post.tickers = tickersInText(post.text);
+          posts.push(post);
+        }
+      }
+      if (raw.tickerDetails && typeof raw.tickerDetails === 'object') {
+        for (const [ticker, list] of Object.entries(raw.tickerDetails)) {
+          const name = cleanTicker(ticker);
+          if (!name || !Array.isArray(list)) continue;
+          for (const p of list) {
+            const post = normalizePost(p);
+            if (!post) continue;
+            post.tickers = [name];
+            posts.push(post);
+          }
+        }
+      }
+
+      return {
+        tickers,
+        categories,
+        keywords,
+        posts: mergePosts(posts),
+        notable: [],
+        tweets: toCount(raw.stats?.totalTweets)
+      };
+    }
+  },
+  {
+    // Early hand-written summaries: tweets_analyzed / crypto_mentions /
+    // macro / commodities / notable (and the camelCase `tweetsAnalyzed` /
+    // `crypto` variant).
+    format: 'legacy-summary',
+    detect: raw => !!(raw.crypto_mentions || raw.crypto || raw.tweets_analyzed || raw.tweetsAnalyzed),
+    adapt(raw) {
+      const tickers = {};
+      const mentions = raw.crypto_mentions || raw.crypto || {};
+      if (typeof mentions === 'object') {
+        for (const [ticker, count] of Object.entries(mentions)) {
+          addCount(tickers, cleanTicker(ticker), toCount(count));
+        }
+      }
+      const categories = {};
+      for (const name of Object.keys(tickers)) categories[name] = 'crypto';
+
+      const keywords = {};
+      if (raw.commodities) keywords.commodities = normalizeKeywordGroup(raw.commodities);
+      if (raw.macro) keywords.macro = normalizeKeywordGroup(raw.macro);
+
+      const notable = Array.isArray(raw.notable) ? raw.notable.filter(n => typeof n === 'string') : [];
+      if (typeof raw.notes === 'string' && raw.notes) notable.push(raw.notes);
+
+      return {
+        tickers,
+        categories,
+        keywords,
+        posts: [],
+        notable,
+        tweets: toCount(raw.tweets_analyzed ?? raw.tweetsAnalyzed)
+      };
+    }
+  }
+];
+
+// ── Public API ───────────────────────────────────────────
+
+function detectFormat(raw) {
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) return null;
+  return ADAPTERS.find(a => a.detect(raw))?.format || null;
+}
+
+// Normalize one raw scan. Throws with a human-readable reason if the scan
+// can't be represented; callers collect these as parse failures.
+function normalizeScan(raw, source = null) {
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    throw new Error('scan is not a JSON object');
+  }
+  const ts = parseTimestamp(raw.timestamp);
+  if (ts === null) throw new Error(`invalid or missing timestamp: ${JSON.stringify(raw.timestamp)}`);
+  const adapter = ADAPTERS.find(a => a.detect(raw));
+  if (!adapter) throw new Error('unrecognized scan format');
+
+  const body = adapter.adapt(raw);
+  return {
+    schema: SCHEMA_VERSION,
+    format: adapter.format,
+    source,
+    timestamp: new Date(ts).toISOString(),
+    ts,
+    sentiment: normalizeSentiment(raw.sentiment, body.tweets),
+    tickers: body.tickers,
+    categories: body.categories,
+    keywords: body.keywords,
+    posts: body.posts,
+    notable: body.notable,
+    stats: { tweets: body.tweets || normalizeSentiment(raw.sentiment).total }
+  };
+}
+
+// ── Strict validation ────────────────────────────────────
+// normalizeScan is forgiving so old files on disk keep loading; scans pushed
+// over HTTP are held to the shapes the adapters actually read.
+
+const isObject = v => !!v && typeof v === 'object' && !Array.isArray(v);
+const isCount = v => typeof v === 'number' && Number.isFinite(v) && v >= 0;
+
+function countMap(errors, value, field) {
+  if (value === undefined) return;
+  if (!isObject(value)) return errors.push(`${field} must be an object`);
+  for (const [k, v] of Object.entries(value)) {
+    if (!isCount(v)) errors.push(`${field}.${k} must be a number >= 0`);
+  }
+}
+
+function postList(errors, value, field) {
+  if (value === undefined) return;
+  if (!Array.isArray(value)) return errors.push(`${field} must be an array`);
+  value.forEach((p, i) => {
+    if (!isObject(p)) return errors.push(`${field}[${i}] must be an object`);
+    if (p.text !== undefined && typeof p.text !== 'string') errors.push(`${field}[${i}].text must be a string`);
+    if (typeof p.text !== 'string' && !p.author && !p.username) errors.push(`${field}[${i}] needs text or an author`);
+    for (const k of ['likes', 'retweets']) {
+      if (p[k] !== undefined && !isCount(p[k])) errors.push(`${field}[${i}].${k} must be a number >= 0`);
+    }
+  });
+}
+
+// Reasons a raw scan doesn't match its format's schema ([] when it does)
+function validateScan(raw) {
+  if (!isObject(raw)) return ['scan is not a JSON object'];
+  const errors = [];
+  if (parseTimestamp(raw.timestamp) === null) errors.push(`invalid or missing timestamp: ${JSON.stringify(raw.timestamp)}`);
+  if (raw.sentiment !== undefined) countMap(errors, raw.sentiment, 'sentiment');
+
+  const format = detectFormat(raw);
+  if (!format) errors.push(`unrecognized scan format (expected one of ${ADAPTERS.map(a => a.format).join(', ')})`);
+  if (format === 'tweets') postList(errors, raw.tweets, 'tweets');
+  if (format === 'scanner') {
+    if (raw.byCategory !== undefined) {
+      if (!isObject(raw.byCategory)) errors.push('byCategory must be an object');
+      else for (const [category, items] of Object.entries(raw.byCategory)) {
+        if (!Array.isArray(items)) { errors.push(`byCategory.${category} must be an array`); continue; }
+        items.forEach((item, i) => {
+          if (!isObject(item) || !cleanTicker(item.ticker) || !isCount(item.count)) {
+            errors.push(`byCategory.${category}[${i}] must be { ticker, count }`);
+          }
+        });
+      }
+    }
+    if (raw.topTickers !== undefined && (!Array.isArray(raw.topTickers) ||
+        raw.topTickers.some(e => !Array.isArray(e) || !cleanTicker(e[0]) || !isCount(e[1])))) {
+      errors.push('topTickers must be a list of [ticker, count] pairs');
+    }
+    if (raw.keywordMentions !== undefined) {
+      if (!isObject(raw.keywordMentions)) errors.push('keywordMentions must be an object');
+      else for (const [category, group] of Object.entries(raw.keywordMentions)) countMap(errors, group, `keywordMentions.${category}`);
+    }
+    postList(errors, raw.highEngagement, 'highEngagement');
+    if (raw.tickerDetails !== undefined) {
+      if (!isObject(raw.tickerDetails)) errors.push('tickerDetails must be an object');
+      else for (const [ticker, list] of Object.entries(raw.tickerDetails)) postList(errors, list, `tickerDetails.${ticker}`);
+    }
+  }
+  if (format === 'legacy-summary') {
+    countMap(errors, raw.crypto_mentions ?? raw.crypto, raw.crypto_mentions ? 'crypto_mentions' : 'crypto');
+    countMap(errors, raw.macro, 'macro');
+    countMap(errors, raw.commodities, 'commodities');
+    if (raw.notable !== undefined && (!Array.isArray(raw.notable) || raw.notable.some(n => typeof n !== 'string'))) {
+      errors.push('notable must be a list of strings');
+    }
+  }
+  return errors.slice(0, 20);
+}
+
+// Keyword totals across categories for one canonical scan, keeping the max
+// when a term is listed under several categories.
+function keywordTotals(scan, categories = KEYWORD_CATEGORIES) {
+  const out = {};
+  for (const category of categories) {
+    const group = scan.keywords[category];
+    if (!group) continue;
+    for (const [term, count] of Object.entries(group)) {
+      out[term] = Math.max(out[term] || 0, count);
+    }
+  }
+  return out;
+}
+
+module.exports = {
+  SCHEMA_VERSION,
+  KEYWORD_CATEGORIES,
+  FORMATS: ADAPTERS.map(a => a.format),
+  cleanTicker,
+  tickersInText,
+  detectFormat,
+  normalizeScan,
+  validateScan,
+  keywordTotals
+};
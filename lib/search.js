@@ -0,0 +1,210 @@
+// Full-text search over every captured post. An inverted index (token →
+// posts) is fed as scans are ingested; the same tweet recaptured by later
+// scans is one document that keeps its best engagement and the first and
+// last time it was seen. Queries are words (all must match), "quoted
+// phrases", $TICKER and @author filters.
+
+const { tickersInText } = require('./schema');
+const { normalizeSymbol } = require('./ticker');
+
+const SORTS = {
+  recent: (a, b) => b.firstSeen - a.firstSeen,
+  engagement: (a, b) => engagement(b) - engagement(a) || b.firstSeen - a.firstSeen
+};
+const SNIPPET_CHARS = 160;
+const MAX_TERMS = 12;
+
+const WORD = /[\p{L}\p{N}_]+/gu;
+
+function tokenize(text) {
+  return String(text || '').toLowerCase().match(WORD) || [];
+}
+
+function engagement(p) {
+  return p.likes + 2 * p.retweets;
+}
+
+function handleKey(handle) {
+  return String(handle || '').replace(/^@/, '').toLowerCase();
+}
+
+// Retweets and copy-pastes of one text collapse onto one result
+function textKey(text) {
+  return String(text || '').replace(/^RT @\w+:\s*/, '').replace(/\s+/g, ' ').trim().toLowerCase();
+}
+
+// "fed cuts" $BTC @zachxbt rates → { terms, phrases, tickers, authors }
+function parseQuery(q) {
+  const parsed = { terms: [], phrases: [], tickers: [], authors: [] };
+  for (const m of String(q || '').matchAll(/"([^"]*)"?|(\S+)/g)) {
+    const word = m[2];
+    if (word?.startsWith('$') && normalizeSymbol(word)) {
+      parsed.tickers.push(normalizeSymbol(word));
+      continue;
+    }
+    if (word?.startsWith('@') && handleKey(word)) {
+      parsed.authors.push(handleKey(word));
+      continue;
+    }
+    // A quoted phrase, or a word punctuation splits (e.g. "rate-cut")
+    const tokens = tokenize(m[1] ?? word);
+    if (tokens.length > 1) parsed.phrases.push(tokens);
+    else if (tokens.length) parsed.terms.push(tokens[0]);
+  }
+  parsed.terms = [...new Set(parsed.terms)];
+  return parsed;
+}
+
+function isEmpty(parsed) {
+  return !parsed.terms.length && !parsed.phrases.length && !parsed.tickers.length && !parsed.authors.length;
+}
+
+function hasPhrase(tokens, phrase) {
+  outer: for (let i = 0; i + phrase.length <= tokens.length; i++) {
+    for (let j = 0; j < phrase.length; j++) if (tokens[i + j] !== phrase[j]) continue outer;
+    return true;
+  }
+  return false;
+}
+
+function escapeRegExp(s) {
+  return s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Up to SNIPPET_CHARS of the text around the first match, with [start, end)
+// offsets of every match inside the snippet
+function snippet(text, parsed) {
+  const patterns = [
+    ...parsed.terms.map(escapeRegExp),
+    ...parsed.phrases.map(p => p.map(escapeRegExp).join('[^\\p{L}\\p{N}_]+')),
+    ...parsed.tickers.map(t => '\\$' + escapeRegExp(t))
+  ];
+  const spans = [];
+  if (patterns.length) {
+    const re = new RegExp(`(?<![\\p{L}\\p{N}_])(?:${patterns.join('|')})(?![\\p{L}\\p{N}_])`, 'giu');
+    for (const m of text.matchAll(re)) spans.push([m.index, m.index + m[0].length]);
+  }
+  if (text.length <= SNIPPET_CHARS) return { snippet: text, highlights: spans };
+
+  const first = spans[0]?.[0] ?? 0;
+  let start = Math.max(0, Math.min(first - 40, text.length - SNIPPET_CHARS));
+  let end = Math.min(text.length, start + SNIPPET_CHARS);
+  // Don't cut words in half
+  if (start > 0) start = text.lastIndexOf(' ', start) + 1 || start;
+  if (end < text.length) end = text.indexOf(' ', end) === -1 ? text.length : text.indexOf(' ', end);
+  const prefix = start > 0 ? '…' : '';
+  const shift = prefix.length - start;
+  return {
+    snippet: prefix + text.slice(start, end) + (end < text.length ? '…' : ''),
+    highlights: spans.filter(([s, e]) => s >= start && e <= end).map(([s, e]) => [s + shift, e + shift])
+  };
+}
+
+function createSearchIndex() {
+  const docs = [];                // id → document
+  const byKey = new Map();        // url or text → id
+  const postings = new Map();     // token → Set of ids
+
+  // Index the posts of newly ingested scans
+  function add(scans) {
+    for (const s of scans) {
+      for (const p of s.posts) {
+        if (!p.text) continue;
+        const key = p.url || `text:${textKey(p.text)}`;
+        const id = byKey.get(key);
+        if (id !== undefined) {
+          const doc = docs[id];
+          doc.likes = Math.max(doc.likes, p.likes);
+          doc.retweets = Math.max(doc.retweets, p.retweets);
+          doc.firstSeen = Math.min(doc.firstSeen, s.ts);
+          doc.lastSeen = Math.max(doc.lastSeen, s.ts);
+          for (const t of p.tickers.map(normalizeSymbol)) if (!doc.tickers.includes(t)) doc.tickers.push(t);
+          continue;
+        }
+        const doc = {
+          id: docs.length,
+          author: p.author,
+          handle: handleKey(p.author),
+          text: p.text,
+          url: p.url,
+          likes: p.likes,
+          retweets: p.retweets,
+          // Tickers the scanner filed it under plus any $CASHTAG in the text
+          tickers: [...new Set([...p.tickers, ...tickersInText(p.text)].map(normalizeSymbol))],
+          firstSeen: s.ts,
+          lastSeen: s.ts,
+          tokens: tokenize(p.text)
+        };
+        docs.push(doc);
+        byKey.set(key, doc.id);
+        for (const token of new Set(doc.tokens)) {
+          let ids = postings.get(token);
+          if (!ids) postings.set(token, ids = new Set());
+          ids.add(doc.id);
+        }
+      }
+    }
+  }
+
+  // Documents holding every query token, smallest posting list first
+  function candidates(parsed) {
+    const tokens = [...new Set([...parsed.terms, ...parsed.phrases.flat()])];
+    if (!tokens.length) return docs;
+    const lists = tokens.map(t => postings.get(t) || new Set()).sort((a, b) => a.size - b.size);
+    const out = [];
+    for (const id of lists[0]) {
+      if (lists.every(l => l.has(id))) out.push(docs[id]);
+    }
+    return out;
+  }
+
+  // parsed: parseQuery(); from/to: ms bounds on when a post was first
+  // captured; resolve: alias → canonical ticker for $TICKER filters
+  function search(parsed, { from = -Infinity, to = Infinity, sort = 'recent', limit = 20, offset = 0, resolve = s => s } = {}) {
+    const wanted = parsed.tickers.map(resolve);
+    const matches = candidates(parsed).filter(doc =>
+      doc.firstSeen >= from && doc.firstSeen <= to &&
+      parsed.phrases.every(p => hasPhrase(doc.tokens, p)) &&
+      parsed.authors.every(a => doc.handle === a) &&
+      wanted.every(t => doc.tickers.some(d => resolve(d) === t))
+    );
+
+    // One result per text: the most engaging copy, with a count of the rest
+    const byText = new Map();
+    for (const doc of matches) {
+      const key = textKey(doc.text);
+      const best = byText.get(key);
+      if (!best) {
+        byText.set(key, { doc, duplicates: 0 });
+        continue;
+      }
+      best.duplicates++;
+      if (engagement(doc) > engagement(best.doc)) best.doc = doc;
+    }
+    const ranked = [...byText.values()].sort((a, b) => SORTS[sort](a.doc, b.doc));
+
+    return {
+      total: ranked.length,
+      results: ranked.slice(offset, offset + limit).map(({ doc, duplicates }) => ({
+        author: doc.author,
+        text: doc.text,
+        url: doc.url,
+        likes: doc.likes,
+        retweets: doc.retweets,
+        tickers: doc.tickers,
+        firstSeen: new Date(doc.firstSeen).toISOString(),
+        lastSeen: new Date(doc.lastSeen).toISOString(),
+        duplicates,
+        ...snippet(doc.text, parsed)
+      }))
+    };
+  }
+
+  function stats() {
+    return { posts: docs.length, tokens: postings.size };
+  }
+
+  return { add, search, stats };
+}
+
+module.exports = { SORTS, MAX_TERMS, tokenize, parseQuery, isEmpty, snippet, createSearchIndex };
@@ -0,0 +1,154 @@
+// Post-level sentiment from tweet text — an offline lexicon classifier with
+// crypto slang, multi-word phrases, emoji, negation and intensifiers.
+// Aggregates weight each post by its engagement, so a viral call counts for
+// more than a reply nobody saw.
+
+// term → weight (positive = bullish, negative = bearish)
+const LEXICON = {
+  // bullish
+  'bullish': 2, 'bull run': 2, 'send it': 2, 'sending': 1.5, 'sent': 1,
+  'moon': 1.5, 'mooning': 2, 'to the moon': 2, 'pump': 1, 'pumping': 1.5,
+  'long': 1, 'longing': 1.5, 'longed': 1, 'buy': 1, 'buying': 1, 'bought': 1,
+  'bid': 1, 'accumulate': 1.5, 'accumulating': 1.5, 'ape': 1, 'aping': 1, 'aped': 1,
+  'higher': 1, 'higher low': 1.5, 'higher high': 1.5, 'breakout': 1.5, 'breaking out': 1.5,
+  'ath': 1.5, 'all time high': 1.5, 'new highs': 1.5, 'wagmi': 2, 'lfg': 2,
+  'bottom is in': 2, 'rally': 1.5, 'ripping': 1.5, 'parabolic': 1.5, 'up only': 2,
+  'undervalued': 1.5, 'reclaim': 1.5, 'reclaimed': 1.5, 'squeeze': 1, 'green': 1,
+  'strong': 1, 'gem': 1, 'generational': 1, 'great run': 1.5, 'run': 0.5,
+  'early': 0.5, 'printing': 1, 'resume': 0.5, 'bounce': 1, 'recovery': 1,
+  '🚀': 1.5, '📈': 1, '🟢': 1, '💎': 1, '🔥': 0.5, '🐂': 1.5,
+  // bearish
+  'bearish': -2, 'bear market': -2, 'dump': -1.5, 'dumping': -2, 'dumped': -1.5,
+  'short': -1, 'shorting': -1.5, 'shorted': -1, 'sell': -1, 'selling': -1, 'sold': -1,
+  'rekt': -2, 'ngmi': -2, 'crash': -2, 'crashing': -2, 'crashed': -2,
+  'lower': -1, 'lower low': -1.5, 'lower high': -1.5, 'rug': -2, 'rugged': -2, 'rugpull': -2,
+  'capitulation': -2, 'top is in': -2, 'scam': -2, 'liquidated': -2, 'liquidation': -1.5,
+  'bleeding': -1.5, 'bloodbath': -2, 'down bad': -1.5, 'fud': -1, 'exit liquidity': -2,
+  'breakdown': -1.5, 'overvalued': -1.5, 'recession': -1, 'fear': -1, 'panic': -1.5,
+  'collapse': -2, 'plunge': -2, 'tank': -1.5, 'tanking': -1.5, 'weak': -1,
+  'end of the world': -2, 'worst': -1.5, 'red': -0.5, 'down': -0.5, 'falling': -1,
+  'pump and dump': -2, 'pump n dump': -2,
+  '📉': -1.5, '🔴': -1, '💀': -1, '🩸': -1.5, '🐻': -1.5
+};
+
+const NEGATORS = new Set(['not', 'no', 'never', "don't", 'dont', "isn't", 'isnt', "won't", 'wont', "can't", 'cant', "ain't", 'aint', 'without', 'nothing']);
+const INTENSIFIERS = { very: 1.5, super: 1.5, extremely: 2, massively: 1.5, so: 1.3, insanely: 2, incredibly: 1.5 };
+const NEGATION_SPAN = 4;
+const LABEL_THRESHOLD = 0.2;
+
+// Longest phrases first so "pump and dump" wins over "pump"
+const PHRASES = Object.keys(LEXICON)
+  .map(term => ({ term, tokens: tokenize(term), weight: LEXICON[term] }))
+  .sort((a, b) => b.tokens.length - a.tokens.length);
+const BY_FIRST = new Map();
+for (const p of PHRASES) {
+  if (!BY_FIRST.has(p.tokens[0])) BY_FIRST.set(p.tokens[0], []);
+  BY_FIRST.get(p.tokens[0]).push(p);
+}
+
+function tokenize(text) {
+  return String(text || '')
+    .toLowerCase()
+    .replace(/https?:\/\/\S+/g, ' ')
+    .replace(/[’‘]/g, "'")
+    .match(/[a-z0-9$']+|\p{Extended_Pictographic}/gu) || [];
+}
+
+function label(score) {
+  return score >= LABEL_THRESHOLD ? 'bullish' : score <= -LABEL_THRESHOLD ? 'bearish' : 'neutral';
+}
+
+// { score: -1..1, label, hits: [{ term, weight }] }
+function scoreText(text) {
+  const tokens = tokenize(text);
+  const hits = [];
+  let sum = 0;
+  let negator = -Infinity;
+  for (let i = 0; i < tokens.length; i++) {
+    if (NEGATORS.has(tokens[i])) {
+      negator = i;
+      continue;
+    }
+    const candidates = BY_FIRST.get(tokens[i]);
+    if (!candidates) continue;
+    const match = candidates.find(p => p.tokens.every((t, j) => tokens[i + j] === t));
+    if (!match) continue;
+
+    // A negator flips only the first sentiment term that follows it
+    let weight = match.weight;
+    if (i - negator <= NEGATION_SPAN) {
+      weight = -weight;
+      negator = -Infinity;
+    }
+    const boost = INTENSIFIERS[tokens[i - 1]];
+    if (boost) weight *= boost;
+
+    hits.push({ term: match.term, weight });
+    sum += weight;
+    i += match.tokens.length - 1;
+  }
+  // Squash so one strong term reads clearly but never saturates
+  const score = parseFloat((sum / (Math.abs(sum) + 2)).toFixed(3));
+  return { score, label: label(score), hits };
+}
+
+function engagementWeight(post) {
+  return 1 + Math.log10(1 + (post.likes || 0) + 2 * (post.retweets || 0));
+}
+
+// Engagement-weighted sentiment over a list of posts
+function aggregateSentiment(posts) {
+  const out = { posts: posts.length, bullish: 0, bearish: 0, neutral: 0, score: 0, label: 'neutral' };
+  if (!posts.length) return out;
+  let weighted = 0, weights = 0;
+  for (const p of posts) {
+    const s = scoreText(p.text);
+    out[s.label]++;
+    const w = engagementWeight(p);
+    weighted += s.score * w;
+    weights += w;
+  }
+  out.score = parseFloat((weighted / weights).toFixed(3));
+  out.label = label(out.score);
+  return out;
+}
+
+// { TICKER: aggregateSentiment(posts mentioning it) }
+function sentimentByTicker(posts, names = null) {
+  const groups = {};
+  for (const p of posts) {
+    for (const t of p.tickers) {
+      if (names && !names.includes(t)) continue;
+      (groups[t] = groups[t] || []).push(p);
+    }
+  }
+  const out = {};
+  for (const [t, list] of Object.entries(groups)) out[t] = aggregateSentiment(list);
+  return out;
+}
+
+// Accuracy against labeled examples: [{ text, label }]
+function evaluate(fixtures) {
+  const misses = [];
+  for (const f of fixtures) {
+    const got = scoreText(f.text);
+    if (got.label !== f.label) misses.push({ text: f.text, expected: f.label, got: got.label, score: got.score });
+  }
+  const correct = fixtures.length - misses.length;
+  return {
+    total: fixtures.length,
+    correct,
+    accuracy: fixtures.length ? parseFloat((correct / fixtures.length).toFixed(3)) : null,
+    misses
+  };
+}
+
+module.exports = {
+  LEXICON,
+  tokenize,
+  scoreText,
+  engagementWeight,
+  aggregateSentiment,
+  sentimentByTicker,
+  evaluate
+};
@@ -0,0 +1,101 @@
+// Bucketed time series over canonical scans — counts, per-scan rates and
+// scan coverage for each bucket, for charting and offline backtests.
+
+const { SCAN_INTERVAL_MS, parseDuration } = require('./time');
+
+const BUCKETS = ['30m', '1h', '4h', '1d'];
+const MAX_BUCKETS = 2000;
+
+function round(n, digits = 3) {
+  return Number.isFinite(n) ? parseFloat(n.toFixed(digits)) : null;
+}
+
+function parseBucket(raw = '1h') {
+  if (!BUCKETS.includes(raw)) return null;
+  return parseDuration(raw);
+}
+
+// Split [from, to] into UTC-aligned buckets and sum pick(scan) into each.
+// `pick` returns a flat { key: number } object for one scan.
+function bucketize(scans, { from, to, bucketMs }, pick) {
+  const start = Math.floor(from / bucketMs) * bucketMs;
+  const count = Math.max(1, Math.ceil((to + 1 - start) / bucketMs));
+  if (count > MAX_BUCKETS) {
+    throw new Error(`range too large: ${count} buckets (max ${MAX_BUCKETS})`);
+  }
+  const buckets = Array.from({ length: count }, (_, i) => ({
+    start: start + i * bucketMs,
+    scans: 0,
+    sums: {}
+  }));
+  for (const s of scans) {
+    if (s.ts < from || s.ts > to) continue;
+    const b = buckets[Math.floor((s.ts - start) / bucketMs)];
+    b.scans++;
+    for (const [k, v] of Object.entries(pick(s))) b.sums[k] = (b.sums[k] || 0) + v;
+  }
+  const expected = bucketMs / SCAN_INTERVAL_MS;
+  return buckets.map(b => ({
+    start: new Date(b.start).toISOString(),
+    end: new Date(b.start + bucketMs).toISOString(),
+    scans: b.scans,
+    coverage: round(Math.min(1, b.scans / expected), 2),
+    sums: b.sums
+  }));
+}
+
+function perScan(total, scans) {
+  return scans ? round(total / scans) : null;
+}
+
+function sentimentSeries(scans, opts) {
+  return bucketize(scans, opts, s => ({ bullish: s.sentiment.bullish, bearish: s.sentiment.bearish }))
+    .map(({ sums, ...b }) => {
+      const bullish = sums.bullish || 0;
+      const bearish = sums.bearish || 0;
+      return {
+        ...b,
+        bullish,
+        bearish,
+        bullishPerScan: perScan(bullish, b.scans),
+        bearishPerScan: perScan(bearish, b.scans),
+        ratio: bearish > 0 ? round(bullish / bearish, 2) : null
+      };
+    });
+}
+
+// symbol: one ticker or a list of spellings (aliases) to count together
+function tickerSeries(scans, symbol, opts) {
+  const want = new Set([].concat(symbol).map(t => t.replace(/^\$/, '').toUpperCase()));
+  return bucketize(scans, opts, s => {
+    let mentions = 0;
+    for (const [name, count] of Object.entries(s.tickers)) {
+      if (want.has(name.toUpperCase())) mentions += count;
+    }
+    return { mentions };
+  }).map(({ sums, ...b }) => ({
+    ...b,
+    mentions: sums.mentions || 0,
+    perScan: perScan(sums.mentions || 0, b.scans)
+  }));
+}
+
+function keywordSeries(scans, term, opts) {
+  const want = term.toLowerCase();
+  return bucketize(scans, opts, s => ({ mentions: s.agg.keywords[want] || 0 }))
+    .map(({ sums, ...b }) => ({
+      ...b,
+      mentions: sums.mentions || 0,
+      perScan: perScan(sums.mentions || 0, b.scans)
+    }));
+}
+
+module.exports = {
+  BUCKETS,
+  MAX_BUCKETS,
+  parseBucket,
+  bucketize,
+  sentimentSeries,
+  tickerSeries,
+  keywordSeries
+};
@@ -0,0 +1,195 @@
+// Spam, bot and shill filtering — every captured post gets a 0..1 score from
+// a few independent signals (high-volume authors, templated or copy-pasted
+// text, contract-address shilling, ticker stuffing, off-topic virality),
+// combined noisy-or style. Posts at or above the threshold are dropped, and
+// each scan's ticker counts are discounted by the share of that ticker's
+// sampled tweets that were dropped — the scanner only keeps a sample of the
+// tweets behind each count, so the sample stands in for the whole.
+
+const { readJson } = require('./state');
+const { extractContracts } = require('./contracts');
+const { scoreText } = require('./sentiment');
+const { normalizeSymbol } = require('./ticker');
+
+const DEFAULTS = {
+  threshold: 0.6,        // drop posts scoring at least this
+  authorShare: 0.05,     // an author posting this share of all posts...
+  authorMinPosts: 20,    // ...and at least this many looks automated
+  templateRepeats: 3,    // same skeleton this often from one author
+  duplicateAuthors: 3,   // same skeleton from this many different authors
+  stuffedTickers: 5,     // distinct tickers in one post
+  allow: [],
+  deny: []
+};
+
+const SIGNALS = {
+  bot: 0.5,
+  template: 0.8,
+  duplicate: 0.7,
+  contract: 0.4,
+  promo: 0.3,
+  stuffing: 0.4,
+  'off-topic': 0.7
+};
+
+const PROMO_RE = /\b(100x|1000x|next gem|presale|airdrop|giveaway|stealth launch|fair launch|dm me|join (?:us|now)|don'?t miss|last chance|moonshot)\b/i;
+const CA_RE = /\bCA\s*[:：]/i;
+
+// Words that put a post with no $tickers on topic anyway
+const MARKET_TERMS = new Set([
+  'bitcoin', 'btc', 'ethereum', 'eth', 'solana', 'crypto', 'coin', 'coins', 'token', 'tokens',
+  'market', 'markets', 'stocks', 'stock', 'equities', 'fed', 'rates', 'inflation', 'gold',
+  'silver', 'hodl', 'defi', 'nft', 'onchain', 'wallet', 'exchange', 'etf', 'bottom', 'top',
+  'chart', 'trade', 'trading', 'trader', 'portfolio', 'memecoin', 'memecoins', 'altcoin',
+  'altcoins', 'alts', 'degen', 'liquidity', 'leverage', 'perps', 'futures', 'airdrop',
+  'price', 'prices', 'asset', 'assets', 'copper', 'oil', 'dollar', 'usd', 'yields', 'treasury',
+  'nasdaq', 'tariff', 'tariffs', 'recession', 'bank', 'banks', 'fees', 'revenue', 'earnings'
+]);
+
+function handleKey(handle) {
+  return String(handle || '').replace(/^@/, '').toLowerCase();
+}
+
+function postKey(p) {
+  return p.url || `${handleKey(p.author)}\u0000${p.text}`;
+}
+
+function loadFilterConfig(file, log = console.log) {
+  const raw = readJson(file, {}, log);
+  return { ...DEFAULTS, ...raw };
+}
+
+// Text with the variable parts (tickers, handles, numbers, links, addresses)
+// blanked out, so templated posts collapse onto one string
+function skeleton(text) {
+  let t = String(text || '').replace(/^RT @\w+:\s*/, '');
+  for (const c of extractContracts(t)) t = t.split(c.address).join(' ca ');
+  return t
+    .toLowerCase()
+    .replace(/https?:\/\/\S+/g, ' ')
+    .replace(/\$[a-z][a-z0-9]*/g, ' $t ')
+    .replace(/@\w+/g, ' @u ')
+    .replace(/\$?\d[\d.,]*\s*[kmb]?\b/g, ' # ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+function isOffTopic(p) {
+  if (p.tickers.length) return false;
+  const words = String(p.text || '').toLowerCase().match(/[a-z]+/g) || [];
+  if (words.some(w => MARKET_TERMS.has(w))) return false;
+  // Only strong slang counts ("lfg", "rekt"); "buy" or 🔥 fit any topic
+  return !scoreText(p.text).hits.some(h => Math.abs(h.weight) >= 2);
+}
+
+// posts: unique posts (see authors.uniquePosts) → Map(postKey → { score, reasons })
+function scorePosts(posts, opts = {}) {
+  const o = { ...DEFAULTS, ...opts };
+  const allow = new Set(o.allow.map(handleKey));
+  const deny = new Set(o.deny.map(handleKey));
+
+  const byAuthor = {};
+  const skeletons = {};
+  const skeletonOf = new Map();
+  for (const p of posts) {
+    const author = handleKey(p.author);
+    byAuthor[author] = (byAuthor[author] || 0) + 1;
+    const sk = skeleton(p.text);
+    skeletonOf.set(p, sk);
+    if (sk.length < 20) continue;
+    const entry = skeletons[sk] || (skeletons[sk] = { authors: new Set(), byAuthor: {} });
+    entry.byAuthor[author] = (entry.byAuthor[author] || 0) + 1;
+    if (!/^RT @/.test(p.text)) entry.authors.add(author);
+  }
+
+  const scores = new Map();
+  for (const p of posts) {
+    const author = handleKey(p.author);
+    const sk = skeletonOf.get(p);
+    if (allow.has(author)) {
+      scores.set(postKey(p), { score: 0, reasons: ['allowed'] });
+      continue;
+    }
+    if (deny.has(author)) {
+      scores.set(postKey(p), { score: 1, reasons: ['denied'] });
+      continue;
+    }
+
+    const reasons = [];
+    if (byAuthor[author] >= o.authorMinPosts && byAuthor[author] / posts.length >= o.authorShare) reasons.push('bot');
+    const group = skeletons[sk];
+    if (group && group.byAuthor[author] >= o.templateRepeats) reasons.push('template');
+    if (group && group.authors.size >= o.duplicateAuthors) reasons.push('duplicate');
+    if (CA_RE.test(p.text) || extractContracts(p.text).length) reasons.push('contract');
+    if (PROMO_RE.test(p.text)) reasons.push('promo');
+    if (new Set(p.tickers.map(normalizeSymbol)).size >= o.stuffedTickers) reasons.push('stuffing');
+    if (isOffTopic(p)) reasons.push('off-topic');
+
+    const keep = reasons.reduce((x, r) => x * (1 - SIGNALS[r]), 1);
+    scores.set(postKey(p), { score: parseFloat((1 - keep).toFixed(3)), reasons });
+  }
+  return scores;
+}
+
+// Copies of the scans with flagged posts removed and ticker counts scaled
+// by the clean share of each ticker's sampled posts (matched case-blind: a
+// post may spell the ticker differently from the scan's count key). Each
+// copy carries `dropped: { posts: [postKey], mentions }` for that scan.
+function filterScans(scans, scores, opts = {}) {
+  const { threshold } = { ...DEFAULTS, ...opts };
+  return scans.map(s => {
+    const kept = [];
+    const sampled = {};
+    const clean = {};
+    const dropped = [];
+    for (const p of s.posts) {
+      const verdict = scores.get(postKey(p));
+      const spam = verdict && verdict.score >= threshold;
+      for (const t of new Set(p.tickers.map(normalizeSymbol))) {
+        sampled[t] = (sampled[t] || 0) + 1;
+        if (!spam) clean[t] = (clean[t] || 0) + 1;
+      }
+      if (!spam) {
+        kept.push(p);
+        continue;
+      }
+      dropped.push(postKey(p));
+    }
+
+    const tickers = {};
+    let mentions = 0;
+    for (const [name, count] of Object.entries(s.tickers)) {
+      const symbol = normalizeSymbol(name);
+      const share = sampled[symbol] ? (clean[symbol] || 0) / sampled[symbol] : 1;
+      const n = Math.round(count * share);
+      mentions += count - n;
+      if (n > 0) tickers[name] = n;
+    }
+    return {
+      ...s,
+      tickers,
+      posts: kept,
+      filtered: true,
+      dropped: { posts: dropped, mentions }
+    };
+  });
+}
+
+// What filtering removed over a list of filtered scans: unique posts (a
+// tweet recaptured every scan counts once), their reasons, and mentions
+function droppedTotals(scans, scores) {
+  const posts = new Set();
+  let mentions = 0;
+  for (const s of scans) {
+    if (!s.dropped) continue;
+    for (const key of s.dropped.posts) posts.add(key);
+    mentions += s.dropped.mentions;
+  }
+  const reasons = {};
+  for (const key of posts) {
+    for (const r of scores.get(key).reasons) reasons[r] = (reasons[r] || 0) + 1;
+  }
+  return { posts: posts.size, mentions, reasons };
+}
+
+module.exports = { DEFAULTS, SIGNALS, loadFilterConfig, postKey, skeleton, scorePosts, filterScans, droppedTotals };
@@ -0,0 +1,24 @@
+// Small JSON persistence helpers for server-side state (alert rules, history)
+
+const fs = require('fs');
+const path = require('path');
+
+// log: where an unreadable (not missing) file is reported
+function readJson(file, fallback, log = console.log) {
+  try {
+    return JSON.parse(fs.readFileSync(file));
+  } catch (e) {
+    if (e.code !== 'ENOENT') log(`Could not read ${file}: ${e.message}`);
+    return fallback;
+  }
+}
+
+// Write to a temp file and rename, so a crash never leaves half a file behind
+function writeJson(file, data) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const tmp = `${file}.${process.pid}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(data, null, 2));
+  fs.renameSync(tmp, file);
+}
+
+module.exports = { readJson, writeJson };
@@ -0,0 +1,327 @@
+// In-memory scan store — loads the live data dir (or the bundle) once, keeps
+// canonical scans sorted by time, and ingests new/changed files
+// incrementally as the scanner writes them. Scans pushed over HTTP are
+// written to their own directory and layered on top of either source.
+
+const fs = require('fs');
+const path = require('path');
+const { EventEmitter } = require('events');
+const { normalizeScan, validateScan, keywordTotals } = require('./schema');
+const { writeJson } = require('./state');
+const { streamBundle, readManifest } = require('./bundle');
+
+const ROLLUP_CACHE_SIZE = 64;
+const MAX_FUTURE_MS = 10 * 60 * 1000;
+
+// ── Sorted-array helpers ─────────────────────────────────
+
+// First index whose ts is >= ts
+function lowerBound(scans, ts) {
+  let lo = 0, hi = scans.length;
+  while (lo < hi) {
+    const mid = (lo + hi) >>> 1;
+    if (scans[mid].ts < ts) lo = mid + 1;
+    else hi = mid;
+  }
+  return lo;
+}
+
+// First index whose ts is > ts
+function upperBound(scans, ts) {
+  let lo = 0, hi = scans.length;
+  while (lo < hi) {
+    const mid = (lo + hi) >>> 1;
+    if (scans[mid].ts <= ts) lo = mid + 1;
+    else hi = mid;
+  }
+  return lo;
+}
+
+// Per-scan aggregates, computed once at ingest
+function withAggregates(scan) {
+  scan.agg = { keywords: keywordTotals(scan) };
+  return scan;
+}
+
+function addInto(target, source) {
+  for (const [k, v] of Object.entries(source)) target[k] = (target[k] || 0) + v;
+}
+
+// ── Store ────────────────────────────────────────────────
+
+// log: where load progress and parse failures are reported
+function createScanStore({ dataDir, bundlePath, pushDir = null, pollMs = 60 * 1000, log = console.log } = {}) {
+  const store = new EventEmitter();
+
+  let scans = [];           // active scans, sorted by ts
+  let source = 'none';      // 'live' | 'bundle' | 'push' (pushed scans only) | 'none'
+  let version = 0;          // bumped on every change, keys the rollup cache
+  let lastSync = null;
+  const files = new Map();  // live file -> { mtimeMs, scan, error }
+  let bundle = { scans: [], failures: [], manifest: null, verified: null };
+  const pushed = new Map();  // ts -> scan received through add()
+  const rollups = new Map();
+  let watcher = null;
+  let timer = null;
+  let debounce = null;
+
+  // Streams the bundle in and checks it against its manifest's checksum
+  async function loadBundle() {
+    if (!bundlePath || !fs.existsSync(bundlePath)) return;
+    try {
+      const out = { scans: [], failures: [], manifest: readManifest(bundlePath), verified: null };
+      const seen = new Set();
+      const sha256 = await streamBundle(bundlePath, (data, i) => {
+        try {
+          const scan = normalizeScan(data, `bundle[${i}]`);
+          // Appended bundles can repeat a timestamp; the first copy wins
+          if (seen.has(scan.ts)) return;
+          seen.add(scan.ts);
+          out.scans.push(withAggregates(scan));
+        } catch (e) {
+          out.failures.push({ source: `bundle[${i}]`, error: e.message });
+        }
+      }, (e, i) => out.failures.push({ source: `bundle[${i}]`, error: `not valid JSON: ${e.message}` }));
+      if (out.manifest) {
+        out.verified = out.manifest.sha256 === sha256;
+        if (!out.verified) log(`Bundle checksum mismatch: ${path.basename(bundlePath)} doesn't match its manifest`);
+      }
+      out.scans.sort((a, b) => a.ts - b.ts);
+      bundle = out;
+      log(`Loaded ${bundle.scans.length} bundled scans from ${path.basename(bundlePath)} (${bundle.failures.length} failed)`);
+    } catch (e) {
+      log(`No bundled scans available (${e.message})`);
+    }
+  }
+
+  function loadPushed() {
+    if (!pushDir || !fs.existsSync(pushDir)) return;
+    for (const f of fs.readdirSync(pushDir).filter(f => f.endsWith('.json'))) {
+      try {
+        const scan = withAggregates(normalizeScan(JSON.parse(fs.readFileSync(path.join(pushDir, f))), `push/${f}`));
+        pushed.set(scan.ts, scan);
+      } catch (e) {
+        log(`Pushed scan parse failure: ${f} — ${e.message}`);
+      }
+    }
+    if (pushed.size) log(`Loaded ${pushed.size} pushed scans`);
+  }
+
+  function readFile(f) {
+    try {
+      const data = JSON.parse(fs.readFileSync(path.join(dataDir, f)));
+      return { scan: withAggregates(normalizeScan(data, f)), error: null };
+    } catch (e) {
+      return { scan: null, error: e.message };
+    }
+  }
+
+  // Rescan the data dir, (re)reading only files whose mtime changed.
+  // Returns the scans that were newly added or replaced.
+  function sync() {
+    const added = [];
+    let changed = false;
+    if (dataDir && fs.existsSync(dataDir)) {
+      let names = [];
+      try {
+        names = fs.readdirSync(dataDir).filter(f => f.endsWith('.json'));
+      } catch (e) {}
+      const seen = new Set(names);
+      for (const f of files.keys()) {
+        if (!seen.has(f)) {
+          files.delete(f);
+          changed = true;
+        }
+      }
+      for (const f of names) {
+        let mtimeMs;
+        try {
+          mtimeMs = fs.statSync(path.join(dataDir, f)).mtimeMs;
+        } catch (e) {
+          continue;
+        }
+        const known = files.get(f);
+        if (known && known.mtimeMs === mtimeMs) continue;
+        const entry = { mtimeMs, ...readFile(f) };
+        if (entry.error && (!known || known.error !== entry.error)) {
+          log(`Scan parse failure: ${f} — ${entry.error}`);
+        }
+        files.set(f, entry);
+        if (entry.scan) added.push(entry.scan);
+        changed = true;
+      }
+    }
+    lastSync = Date.now();
+    if (changed || source === 'none') rebuild();
+    if (added.length && source === 'live') store.emit('ingest', added.sort((a, b) => a.ts - b.ts));
+    return added;
+  }
+
+  function rebuild() {
+    const live = [...files.values()].filter(e => e.scan).map(e => e.scan);
+    let base;
+    if (live.length) {
+      base = live;
+      source = 'live';
+    } else if (bundle.scans.length) {
+      base = bundle.scans;
+      source = 'bundle';
+    } else {
+      base = [];
+      source = 'none';
+    }
+    // A pushed scan the scanner also wrote to disk counts once
+    const have = new Set(base.map(s => s.ts));
+    const extra = [...pushed.values()].filter(s => !have.has(s.ts));
+    scans = extra.length || source === 'live' ? base.concat(extra).sort((a, b) => a.ts - b.ts) : base;
+    if (source === 'none' && scans.length) source = 'push';
+    version++;
+    rollups.clear();
+  }
+
+  // Resolves once the bundle, pushed scans and the data dir are loaded
+  async function load() {
+    await loadBundle();
+    loadPushed();
+    sync();
+    return store;
+  }
+
+  // Validate, dedupe by timestamp and persist raw scans pushed over HTTP.
+  // Returns one result per input: { index, status: 'accepted' | 'duplicate'
+  // | 'invalid' | 'error', timestamp, errors? }. Accepted scans are written
+  // to pushDir before they become visible, then announced with an 'ingest'
+  // event. A scan that can't be written is an 'error' and stays out; the
+  // rest of the batch goes ahead.
+  function add(raws, { now = Date.now() } = {}) {
+    if (!pushDir) throw new Error('scan ingestion is not configured');
+    const results = [];
+    const added = [];
+    const seen = new Set(scans.map(s => s.ts));
+    raws.forEach((raw, index) => {
+      const errors = validateScan(raw);
+      let scan = null;
+      if (!errors.length) {
+        try {
+          scan = normalizeScan(raw, null);
+        } catch (e) {
+          errors.push(e.message);
+        }
+      }
+      if (scan && scan.ts > now + MAX_FUTURE_MS) errors.push(`timestamp is in the future: ${scan.timestamp}`);
+      if (errors.length) return results.push({ index, status: 'invalid', timestamp: scan?.timestamp || null, errors });
+      if (seen.has(scan.ts)) return results.push({ index, status: 'duplicate', timestamp: scan.timestamp });
+
+      const file = `${scan.timestamp.replace(/[:.]/g, '-')}.json`;
+      try {
+        writeJson(path.join(pushDir, file), raw);
+      } catch (e) {
+        log(`Pushed scan write failure: ${file} — ${e.message}`);
+        return results.push({ index, status: 'error', timestamp: scan.timestamp, errors: [`could not store scan: ${e.code || e.message}`] });
+      }
+      scan.source = `push/${file}`;
+      seen.add(scan.ts);
+      pushed.set(scan.ts, withAggregates(scan));
+      added.push(scan);
+      results.push({ index, status: 'accepted', timestamp: scan.timestamp });
+    });
+    if (added.length) {
+      rebuild();
+      store.emit('ingest', added.sort((a, b) => a.ts - b.ts));
+    }
+    return results;
+  }
+
+  // Watch the data dir for writes; a slow poll backs up fs.watch, which
+  // misses events on some filesystems.
+  function watch() {
+    const schedule = () => {
+      clearTimeout(debounce);
+      debounce = setTimeout(sync, 250);
+    };
+    if (dataDir && fs.existsSync(dataDir)) {
+      try {
+        watcher = fs.watch(dataDir, schedule);
+        watcher.on('error', () => {});
+      } catch (e) {}
+    }
+    if (pollMs) {
+      timer = setInterval(sync, pollMs);
+      timer.unref();
+    }
+    return store;
+  }
+
+  function close() {
+    if (watcher) watcher.close();
+    clearInterval(timer);
+    clearTimeout(debounce);
+  }
+
+  // Scans with from <= ts <= to (either bound optional)
+  function range(from = -Infinity, to = Infinity) {
+    return scans.slice(lowerBound(scans, from), upperBound(scans, to));
+  }
+
+  // Summed aggregates over a list of scans (normally a range() slice).
+  // Cached per store version, so the same window is only summed once;
+  // spam-filtered copies are keyed by the cutoff they were scored at.
+  function rollup(list) {
+    const key = list.length
+      ? `${version}:${list[0].filtered ? `filtered@${list[0].cutoff}:` : ''}${list[0].ts}:${list[list.length - 1].ts}:${list.length}`
+      : null;
+    if (key && rollups.has(key)) return rollups.get(key);
+    const out = { scans: list.length, bullish: 0, bearish: 0, tickers: {}, keywords: {} };
+    for (const s of list) {
+      out.bullish += s.sentiment.bullish;
+      out.bearish += s.sentiment.bearish;
+      addInto(out.tickers, s.tickers);
+      addInto(out.keywords, s.agg.keywords);
+    }
+    if (key) {
+      if (rollups.size >= ROLLUP_CACHE_SIZE) rollups.delete(rollups.keys().next().value);
+      rollups.set(key, out);
+    }
+    return out;
+  }
+
+  function failures() {
+    const live = [...files.entries()]
+      .filter(([, e]) => e.error)
+      .map(([f, e]) => ({ source: f, error: e.error }));
+    return source === 'bundle' ? bundle.failures.concat(live) : live;
+  }
+
+  function status() {
+    const formats = {};
+    for (const s of scans) formats[s.format] = (formats[s.format] || 0) + 1;
+    return {
+      source,
+      scans: scans.length,
+      oldest: scans[0]?.timestamp || null,
+      newest: scans[scans.length - 1]?.timestamp || null,
+      formats,
+      pushed: pushed.size,
+      bundle: bundlePath && fs.existsSync(bundlePath)
+        ? { file: path.basename(bundlePath), manifest: bundle.manifest, verified: bundle.verified }
+        : null,
+      failures: failures(),
+      lastSync: lastSync ? new Date(lastSync).toISOString() : null
+    };
+  }
+
+  return Object.assign(store, {
+    load,
+    sync,
+    add,
+    watch,
+    close,
+    range,
+    rollup,
+    status,
+    all: () => scans,
+    version: () => version
+  });
+}
+
+module.exports = { createScanStore, lowerBound, upperBound };
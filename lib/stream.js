@@ -0,0 +1,108 @@
+// Server-Sent Events hub — pushes a fresh brief, newly seen high-engagement
+// posts and regime/fear changes to every connected dashboard when the store
+// ingests new scans.
+
+const HEARTBEAT_MS = 25 * 1000;
+const MAX_HOURS = 24 * 365;
+
+function postKey(p) {
+  return p.url || `${p.author}:${p.text}`;
+}
+
+// build(hours) → brief for the trailing window; compact(brief) → the short
+// summary used by /api/brief/compact; canReadPosts(req) → whether the client
+// may see tweet text and authors (otherwise it gets no posts)
+function createBriefStream({ store, build, compact, canReadPosts = () => true }) {
+  const clients = new Set();
+
+  function send(client, event, data) {
+    client.res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  }
+
+  function push(client, brief) {
+    const regime = brief.regime.label;
+    const fear = brief.regime.fear;
+    if (client.regime && client.regime !== regime) {
+      send(client, 'regime', { from: client.regime, to: regime, at: brief.generated });
+    }
+    if (client.fear && client.fear !== fear) {
+      send(client, 'fear', { from: client.fear, to: fear, at: brief.generated });
+    }
+    client.regime = regime;
+    client.fear = fear;
+
+    send(client, 'brief', {
+      compact: compact(brief),
+      generated: brief.generated,
+      generatedHuman: brief.generatedHuman,
+      window: brief.window,
+      scanCount: brief.scanCount,
+      regime: brief.regime,
+      fearIndex: brief.fearIndex,
+      tickers: brief.tickers,
+      momentum: brief.momentum,
+      commodities: brief.commodities,
+      topPosts: client.posts ? brief.topPosts : []
+    });
+    if (!client.posts) return;
+
+    const fresh = brief.topPosts.filter(p => !client.seenPosts.has(postKey(p)));
+    for (const p of fresh) client.seenPosts.add(postKey(p));
+    if (fresh.length && client.primed) send(client, 'posts', fresh);
+    client.primed = true;
+  }
+
+  // Express handler for GET /api/stream?hours=N. The first brief is built
+  // before the client joins, so a window that can't be built is a 400 and
+  // never reaches broadcast()
+  function handler(req, res) {
+    const hours = req.query.hours !== undefined ? Number(req.query.hours) : 24;
+    if (!(hours > 0 && hours <= MAX_HOURS)) {
+      return res.status(400).json({ error: `hours must be a number above 0 and at most ${MAX_HOURS}` });
+    }
+    let first;
+    try {
+      first = build(hours);
+    } catch (e) {
+      return res.status(400).json({ error: e.message });
+    }
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.write('retry: 10000\n\n');
+
+    const client = { res, hours, posts: canReadPosts(req), regime: null, fear: null, seenPosts: new Set(), primed: false };
+    push(client, first);
+    clients.add(client);
+
+    const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_MS);
+    req.on('close', () => {
+      clearInterval(heartbeat);
+      clients.delete(client);
+    });
+  }
+
+  // One brief per distinct window size, shared across clients. Runs on
+  // ingest, so a failure here is logged per client and never thrown back
+  // at the store
+  function broadcast() {
+    const briefs = new Map();
+    for (const client of clients) {
+      try {
+        if (!briefs.has(client.hours)) briefs.set(client.hours, build(client.hours));
+        push(client, briefs.get(client.hours));
+      } catch (e) {
+        console.log(`Brief stream: push to a ${client.hours}h client failed: ${e.message}`);
+      }
+    }
+  }
+
+  store.on('ingest', broadcast);
+
+  return { handler, broadcast, clients: () => clients.size };
+}
+
+module.exports = { createBriefStream };
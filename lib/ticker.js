@@ -0,0 +1,117 @@
+// Per-ticker drill-down — why a ticker is showing up: its mention history,
+// scanner category, the tweets and authors behind it and any contract
+// addresses people are quoting.
+
+const { tickerSeries } = require('./series');
+const { extractContracts } = require('./contracts');
+const { aggregateSentiment } = require('./sentiment');
+
+function normalizeSymbol(symbol) {
+  return String(symbol || '').trim().replace(/^\$/, '').toUpperCase();
+}
+
+function engagement(p) {
+  return p.likes + 2 * p.retweets;
+}
+
+// names: every spelling of the ticker (symbol plus aliases), upper-cased
+function mentionsIn(scan, names) {
+  let n = 0;
+  for (const [name, count] of Object.entries(scan.tickers)) {
+    if (names.has(name.toUpperCase())) n += count;
+  }
+  return n;
+}
+
+function postsFor(scan, names) {
+  return scan.posts.filter(p => p.tickers.some(t => names.has(t.toUpperCase())));
+}
+
+// scans: the window being inspected; allScans: history up to its end, for
+// first/last seen; bucket: { from, to, bucketMs } for the mention series;
+// aliases: other spellings to count as this ticker
+function tickerProfile({ scans, allScans, symbol: rawSymbol, aliases = [], bucket, postLimit = 10, authorLimit = 10 }) {
+  const symbol = normalizeSymbol(rawSymbol);
+  const names = new Set([symbol, ...aliases.map(normalizeSymbol)]);
+
+  let firstSeen = null, lastSeen = null, allTimeMentions = 0;
+  for (const s of allScans) {
+    const n = mentionsIn(s, names);
+    if (!n) continue;
+    allTimeMentions += n;
+    if (!firstSeen) firstSeen = s.timestamp;
+    lastSeen = s.timestamp;
+  }
+
+  let mentions = 0, scansWithMentions = 0;
+  const categories = {};
+  const posts = new Map();
+  for (const s of scans) {
+    const n = mentionsIn(s, names);
+    if (n) {
+      mentions += n;
+      scansWithMentions++;
+    }
+    for (const [name, category] of Object.entries(s.categories)) {
+      if (names.has(name.toUpperCase())) categories[category] = (categories[category] || 0) + 1;
+    }
+    // Keep the latest engagement numbers for a tweet seen across scans
+    for (const p of postsFor(s, names)) {
+      const key = p.url || `${p.author}\u0000${p.text}`;
+      const prev = posts.get(key);
+      if (!prev || engagement(p) >= engagement(prev.post)) {
+        posts.set(key, { post: p, firstSeen: prev?.firstSeen || s.timestamp });
+      }
+    }
+  }
+
+  const unique = [...posts.values()];
+  const authors = {};
+  const contracts = new Map();
+  for (const { post, firstSeen: seen } of unique) {
+    const handle = post.author || 'unknown';
+    const a = authors[handle] || (authors[handle] = { author: handle, posts: 0, likes: 0, retweets: 0, firstSeen: seen });
+    a.posts++;
+    a.likes += post.likes;
+    a.retweets += post.retweets;
+    if (seen < a.firstSeen) a.firstSeen = seen;
+    for (const c of extractContracts(post.text)) {
+      const entry = contracts.get(c.address) || { ...c, mentions: 0, authors: [] };
+      entry.mentions++;
+      if (!entry.authors.includes(handle)) entry.authors.push(handle);
+      contracts.set(c.address, entry);
+    }
+  }
+
+  return {
+    symbol,
+    aliases: [...names].filter(n => n !== symbol),
+    window: { scans: scans.length, mentions, scansWithMentions },
+    perScan: scans.length ? parseFloat((mentions / scans.length).toFixed(3)) : 0,
+    categories,
+    category: Object.entries(categories).sort((a, b) => b[1] - a[1])[0]?.[0] || null,
+    firstSeen,
+    lastSeen,
+    allTimeMentions,
+    sentiment: aggregateSentiment(unique.map(u => u.post)),
+    history: bucket ? tickerSeries(scans, [...names], bucket) : [],
+    topPosts: unique
+      .map(({ post, firstSeen: seen }) => ({
+        author: post.author,
+        text: post.text,
+        likes: post.likes,
+        retweets: post.retweets,
+        url: post.url,
+        tickers: post.tickers,
+        firstSeen: seen
+      }))
+      .sort((a, b) => engagement(b) - engagement(a))
+      .slice(0, postLimit),
+    authors: Object.values(authors)
+      .sort((a, b) => b.posts - a.posts || (b.likes + b.retweets) - (a.likes + a.retweets))
+      .slice(0, authorLimit),
+    contracts: [...contracts.values()].sort((a, b) => b.mentions - a.mentions)
+  };
+}
+
+module.exports = { normalizeSymbol, tickerProfile };
@@ -0,0 +1,29 @@
+// Time parsing shared by every route that takes explicit windows
+
+const SCAN_INTERVAL_MS = 30 * 60 * 1000; // scanner cadence
+
+const UNITS = { m: 60 * 1000, h: 3600 * 1000, d: 24 * 3600 * 1000 };
+
+// Accepts ISO strings, dates (2026-01-30) and epoch seconds or milliseconds.
+// Date-times without a zone (what <input type="datetime-local"> sends) are
+// read as UTC. Returns ms, or null if the value can't be read as a time.
+function parseTime(raw) {
+  if (raw === undefined || raw === null || raw === '') return null;
+  let str = String(raw).trim();
+  if (/^\d+$/.test(str)) {
+    const n = Number(str);
+    return n < 1e11 ? n * 1000 : n;
+  }
+  if (/^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?$/.test(str)) str += 'Z';
+  const ts = new Date(str).getTime();
+  return Number.isFinite(ts) ? ts : null;
+}
+
+// '30m', '1h', '4h', '1d' → ms (null if malformed)
+function parseDuration(raw) {
+  const m = /^(\d+)([mhd])$/.exec(String(raw || '').trim());
+  if (!m || Number(m[1]) === 0) return null;
+  return Number(m[1]) * UNITS[m[2]];
+}
+
+module.exports = { SCAN_INTERVAL_MS, parseTime, parseDuration };
@@ -0,0 +1,111 @@
+// Trending tickers — each ticker's per-scan mention rate in the current window
+// is compared to its own baseline rate over all earlier scans. Surprise is the
+// Poisson upper-tail probability of seeing at least that many mentions if the
+// baseline rate still held.
+
+const DEFAULTS = {
+  minMentions: 3,   // support: total mentions in the window
+  minScans: 2,      // support: distinct scans mentioning it
+  maxP: 0.05,       // only report tickers at least this surprising
+  limit: 20,
+  resolve: name => name  // canonical symbol for a raw ticker name
+};
+
+// Smoothing for the baseline rate, so a ticker never seen before gets a
+// small finite expectation instead of zero.
+const PRIOR_MENTIONS = 0.5;
+const PRIOR_SCANS = 1;
+
+const logFactCache = [0];
+function logFactorial(n) {
+  for (let i = logFactCache.length; i <= n; i++) {
+    logFactCache[i] = logFactCache[i - 1] + Math.log(i);
+  }
+  return logFactCache[n];
+}
+
+// P(X >= k) for X ~ Poisson(lambda), summed directly over the tail so tiny
+// probabilities don't vanish into 1 - (1 - p)
+function poissonTail(k, lambda) {
+  if (k <= 0) return 1;
+  if (lambda <= 0) return 0;
+  const logPmf = i => -lambda + i * Math.log(lambda) - logFactorial(i);
+  const end = Math.ceil(Math.max(k, lambda) + 10 * Math.sqrt(lambda) + 50);
+  let sum = 0;
+  for (let i = k; i <= end; i++) {
+    const term = Math.exp(logPmf(i));
+    sum += term;
+    if (i > lambda && term < sum * 1e-12) break;
+  }
+  return Math.min(1, sum);
+}
+
+function round(n, digits) {
+  return parseFloat(n.toFixed(digits));
+}
+
+// resolve maps raw ticker spellings onto one symbol, so aliases count once
+function countMentions(scans, resolve) {
+  const mentions = {};
+  const seenIn = {};
+  for (const s of scans) {
+    const names = new Set();
+    for (const [raw, count] of Object.entries(s.tickers)) {
+      const name = resolve(raw);
+      mentions[name] = (mentions[name] || 0) + count;
+      names.add(name);
+    }
+    for (const name of names) seenIn[name] = (seenIn[name] || 0) + 1;
+  }
+  return { mentions, seenIn };
+}
+
+function statusFor(p, baseMentions, ratio) {
+  if (baseMentions === 0) return 'new';
+  if (p < 0.001 && ratio >= 2) return 'breakout';
+  return 'rising';
+}
+
+// current: scans in the window being ranked; baseline: scans before it
+function computeTrending(current, baseline, opts = {}) {
+  const o = { ...DEFAULTS, ...opts };
+  const result = {
+    scans: current.length,
+    baselineScans: baseline.length,
+    tickers: []
+  };
+  if (!current.length || !baseline.length) return result;
+
+  const now = countMentions(current, o.resolve);
+  const base = countMentions(baseline, o.resolve);
+  for (const [name, mentions] of Object.entries(now.mentions)) {
+    if (mentions < o.minMentions || now.seenIn[name] < o.minScans) continue;
+    const baseMentions = base.mentions[name] || 0;
+    const baselineRate = (baseMentions + PRIOR_MENTIONS) / (baseline.length + PRIOR_SCANS);
+    const expected = baselineRate * current.length;
+    if (mentions <= expected) continue;
+    const p = poissonTail(mentions, expected);
+    if (p > o.maxP) continue;
+    const rate = mentions / current.length;
+    const ratio = rate / baselineRate;
+    result.tickers.push({
+      name,
+      mentions,
+      scans: now.seenIn[name],
+      rate: round(rate, 3),
+      baselineMentions: baseMentions,
+      baselineRate: round(baselineRate, 4),
+      expected: round(expected, 2),
+      ratio: round(ratio, 1),
+      z: round((mentions - expected) / Math.sqrt(expected), 2),
+      surprise: round(-Math.log10(Math.max(p, 1e-300)), 2),
+      confidence: round(1 - p, 4),
+      status: statusFor(p, baseMentions, ratio)
+    });
+  }
+  result.tickers.sort((a, b) => b.surprise - a.surprise || b.mentions - a.mentions);
+  result.tickers = result.tickers.slice(0, o.limit);
+  return result;
+}
+
+module.exports = { DEFAULTS, computeTrending, poissonTail };
@@ -0,0 +1,485 @@
+// Web pages and the components they share, built on lib/html. Pages take a
+// plain model from the route and return markup; every value in them is
+// escaped by the `html` tag.
+
+const { html } = require('./html');
+const { formatRatio } = require('./export');
+const { ageText, datasetText } = require('./health');
+
+// ── Helpers ──────────────────────────────────────────────
+
+// Query string that carries the current window onto links
+function windowQuery(window, hours) {
+  const asOf = window.asOf === null ? '' : `&asOf=${new Date(window.asOf).toISOString()}`;
+  return `hours=${hours}${asOf}${window.unfiltered ? '&unfiltered=1' : ''}`;
+}
+
+function utcText(iso) {
+  return iso ? new Date(iso).toUTCString().replace(':00 GMT', ' UTC') : '—';
+}
+
+function pct(value) {
+  return Math.max(0, Math.min(100, Math.round(value)));
+}
+
+function regimeClass(label) {
+  return label.includes('BULL') ? 'bullish' : label.includes('BEAR') ? 'bearish' : 'neutral';
+}
+
+function tickerList(list) {
+  return list.length ? list.map(t => '$' + t.name).join(' ') : '—';
+}
+
+// ── Components ───────────────────────────────────────────
+
+function layout({ title, head = '', body, scripts = '' }) {
+  return html`<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<meta name="viewport" content="width=device-width, initial-scale=1.0">
+<title>${title}</title>
+<link rel="stylesheet" href="/static/dashboard.css">
+${head}
+</head>
+<body>
+${body}
+${scripts}
+</body>
+</html>`;
+}
+
+function header({ title, lines = [] }) {
+  return html`<div class="header">
+  <div class="header-inner">
+    <h1>${title}</h1>
+    ${lines}
+  </div>
+</div>`;
+}
+
+function section({ title, id = null, hidden = false }, body) {
+  return html`<div class="section"${id ? html` id="${id}"` : ''}${hidden ? html` hidden` : ''}>
+    <h2>${title}</h2>
+    ${body}
+  </div>`;
+}
+
+// One figure on the regime card; ids let live.js update it in place
+function statCard({ label, value, valueClass = '', detail, id = null }) {
+  return html`<div class="regime-item">
+      <div class="regime-label">${label}</div>
+      <div class="regime-value ${valueClass}"${id ? html` id="${id}-value"` : ''}>${value}</div>
+      <div class="regime-detail"${id ? html` id="${id}-detail"` : ''}>${detail}</div>
+    </div>`;
+}
+
+function statCards(cards) {
+  return html`<div class="regime-card">
+    ${cards.map(statCard)}
+  </div>`;
+}
+
+// Horizontal fill, clamped to 0–100%
+function bar(percent, className) {
+  return html`<div class="${className}" style="width:${pct(percent)}%"></div>`;
+}
+
+function emptyNote(text) {
+  return html`<div class="regime-detail">${text}</div>`;
+}
+
+// Out-of-site link; anything but http(s) renders as nothing
+function externalLink(url, text, className = null) {
+  if (!url || !/^https?:\/\//i.test(url)) return '';
+  return html`<a${className ? html` class="${className}"` : ''} href="${url}" target="_blank" rel="noopener noreferrer">${text}</a>`;
+}
+
+function postCard(p, { maxLength = null, when = null, retweets = false } = {}) {
+  const text = p.text || '';
+  const link = externalLink(p.url, 'View →', 'post-link');
+  return html`<div class="post">
+        <div class="post-author">@${p.author || 'unknown'}${when ? ` · ${utcText(when)}` : ''}</div>
+        <div class="post-text">${maxLength && text.length > maxLength ? text.substring(0, maxLength) + '...' : text}</div>
+        <div class="post-likes">❤️ ${(p.likes || 0).toLocaleString()}${retweets ? ` · 🔁 ${(p.retweets || 0).toLocaleString()}` : ''}${link ? html` · ${link}` : ''}</div>
+      </div>`;
+}
+
+// Shown on live pages when the scanner has gone quiet; replays of a chosen
+// point in time don't need it. health: dataHealth() plus the store source.
+// Where the data dir lives is for the server log, not the public page.
+function staleBanner({ health, window, hours }) {
+  if (window.asOf !== null || !health.stale) return '';
+  if (health.status === 'empty') {
+    return html`<div class="stale-banner">⚠️ No scan data loaded — check the scanner or the bundle</div>`;
+  }
+  const query = `?hours=${hours}&asOf=${health.newest}${window.unfiltered ? '&unfiltered=1' : ''}`;
+  return html`<div class="stale-banner">⚠️ Data is stale: the newest scan is ${ageText(health.ageMinutes)} old (${health.newest})${health.source === 'bundle' ? ' and is coming from the deploy bundle, not the live scanner' : ''} · <a href="${query}">view as of the newest scan</a></div>`;
+}
+
+// Search form; sends to the /search page. /search needs the posts scope, so
+// a browser that arrived with ?api_key= carries it along
+function searchBox({ q = '', from = '', to = '', sort = 'recent', api_key: apiKey = '', full = false } = {}) {
+  return html`<form class="search-box" method="get" action="/search" role="search">
+      ${apiKey ? html`<input type="hidden" name="api_key" value="${apiKey}">` : ''}
+      <input class="time-input search-input" type="search" name="q" value="${q}" placeholder="Search tweets: words, &quot;phrase&quot;, $TICKER, @author" aria-label="Search captured tweets">
+      ${full ? html`<input class="time-input" type="date" name="from" value="${from}" title="First captured on or after (UTC)">
+      <input class="time-input" type="date" name="to" value="${to}" title="First captured on or before (UTC)">
+      <select class="time-input" name="sort" title="Sort">
+        <option value="recent"${sort === 'recent' ? html` selected` : ''}>Most recent</option>
+        <option value="engagement"${sort === 'engagement' ? html` selected` : ''}>Most engagement</option>
+      </select>` : ''}
+      <button class="time-btn" type="submit">Search</button>
+    </form>`;
+}
+
+// Snippet with its [start, end) match offsets wrapped in <mark>
+function highlighted(text, highlights) {
+  const parts = [];
+  let at = 0;
+  for (const [start, end] of highlights) {
+    if (start < at) continue;
+    parts.push(text.slice(at, start), html`<mark>${text.slice(start, end)}</mark>`);
+    at = end;
+  }
+  parts.push(text.slice(at));
+  return parts;
+}
+
+function errorPage(message) {
+  return layout({
+    title: 'Bad request — CT Intelligence',
+    body: html`${header({ title: 'Bad request' })}
+<div class="content">${emptyNote(message)}</div>`
+  });
+}
+
+// ── Dashboard ────────────────────────────────────────────
+
+function timeControls({ window, hours, newest }) {
+  // Keep the replay point when switching window sizes
+  const asOfIso = window.asOf === null ? '' : new Date(window.asOf).toISOString();
+  const asOfValue = asOfIso.slice(0, 16);
+  const asOfParam = asOfIso ? `&asOf=${asOfIso}` : '';
+  const filterParam = window.unfiltered ? '&unfiltered=1' : '';
+  const sizes = [[8, '8h'], [24, '24h'], [48, '48h'], [168, '7d']];
+  return html`<div class="time-controls">
+      ${sizes.map(([h, label]) => html`<a class="time-btn ${hours === h ? 'active' : ''}" href="${`/?hours=${h}${asOfParam}${filterParam}`}">${label}</a>`)}
+      <form class="replay" method="get" action="/">
+        <input type="hidden" name="hours" value="${hours}">
+        ${window.unfiltered ? html`<input type="hidden" name="unfiltered" value="1">` : ''}
+        <input class="time-input" type="datetime-local" name="asOf" value="${asOfValue}" title="Replay as of (UTC)">
+        <button class="time-btn" type="submit">Replay</button>
+        ${newest ? html`<a class="time-btn" href="${`/?hours=${hours}&asOf=${newest}${filterParam}`}">Latest data</a>` : ''}
+        ${asOfValue ? html`<a class="time-btn" href="${`/?hours=${hours}${filterParam}`}">Live</a>` : ''}
+      </form>
+    </div>`;
+}
+
+function regimeStrip({ strip, from, to }) {
+  return section({ title: '🧭 Regime Timeline (7d)' }, html`<div class="regime-strip">
+      ${strip.periods.map(p => html`<div class="regime-seg regime-${p.regime.toLowerCase().replace(/ /g, '-')}" style="flex: ${Number(p.hours)}" title="${p.regime} · ${p.start.slice(5, 16).replace('T', ' ')} → ${p.end.slice(5, 16).replace('T', ' ')} UTC (${p.hours}h)"></div>`)}
+    </div>
+    <div class="regime-strip-axis"><span>${new Date(from).toUTCString().slice(5, 22)}</span><span>${strip.transitions.length} transitions · now ${strip.current}</span><span>${new Date(to).toUTCString().slice(5, 22)}</span></div>`);
+}
+
+function diffItem(label, value, className = '') {
+  return html`<div class="diff-item">
+        <div class="regime-label">${label}</div>
+        <div class="${className ? `diff-value ${className}` : 'diff-value'}">${value}</div>
+      </div>`;
+}
+
+function vsYesterday(vs) {
+  if (!vs?.previous) return '';
+  const narrative = (n, className, note) => html`<div class="narrative"><span class="narrative-icon">${n.type}</span><span class="narrative-text">${n.label}</span><span class="narrative-strength ${className}">${note}</span></div>`;
+  return section({ title: '🗓️ vs Yesterday' }, html`<div class="diff-grid">
+      ${diffItem('Regime', vs.regime.changed ? `${vs.regime.from} → ${vs.regime.to}` : `${vs.regime.to} (unchanged)`)}
+      ${diffItem('Fear', `${vs.fear.changed ? `${vs.fear.from} → ${vs.fear.to}` : `${vs.fear.to} (unchanged)`}${vs.fear.score.change === null ? '' : ` · ${vs.fear.score.change >= 0 ? '+' : ''}${vs.fear.score.change} pts`}`)}
+      ${diffItem('Entered top 15', tickerList(vs.tickers.entered), 'diff-up')}
+      ${diffItem('Left top 15', tickerList(vs.tickers.left), 'diff-down')}
+    </div>
+    ${vs.narratives.new.length || vs.narratives.gone.length ? html`<div class="narrative-list diff-narratives">
+      ${vs.narratives.new.map(n => narrative(n, 'diff-up', 'new'))}
+      ${vs.narratives.gone.map(n => narrative(n, 'diff-down', 'faded'))}
+    </div>` : ''}
+    <div class="regime-strip-axis"><span>Daily brief ${vs.current.date} ${vs.current.time} UTC vs ${vs.previous.date} ${vs.previous.time} UTC</span><a href="${`/api/briefs/${vs.current.date}/diff?time=${vs.current.time}`}">JSON</a></div>`);
+}
+
+function momentumRow(m) {
+  const isNew = m.change === 'NEW';
+  const dir = isNew ? 'new' : 'up';
+  const confidence = pct(m.confidence * 100);
+  return html`<div class="momentum-item">
+          <span class="momentum-name">$${m.name}</span>
+          <div class="momentum-bar" title="${confidence}% confidence · z=${m.z}">${bar(confidence, `momentum-fill ${dir}`)}</div>
+          <span class="momentum-change ${dir}">${isNew ? '🆕 NEW' : '+' + m.change + '%'}</span>
+        </div>`;
+}
+
+function narrativeRow(n) {
+  return html`<div class="narrative">
+        <span class="narrative-icon">${n.type}</span>
+        <span class="narrative-text">${n.label}${n.tickers.length ? html`<span class="narrative-tickers">${n.tickers.slice(0, 5).map(t => '$' + t.name).join(' ')}</span>` : ''}</span>
+        <span class="narrative-strength">${n.strength} signals${n.change === null ? '' : n.change === 'NEW' ? ' · 🆕' : ` · ${n.change >= 0 ? '+' : ''}${n.change}%`}</span>
+      </div>`;
+}
+
+function commodityRows(commodities) {
+  const max = commodities[0]?.mentions || 1;
+  return commodities.map(c => html`<div class="commodity-row">
+          <span class="commodity-name">${c.name}</span>
+          <div class="commodity-bar-bg">${bar(c.mentions / max * 100, 'commodity-bar-fill')}</div>
+          <span class="commodity-count">${c.mentions}</span>
+        </div>`);
+}
+
+const API_NOTE = html`<div class="api-note">
+    📡 API available: <code>GET /api/brief</code> · <code>/api/brief/compact</code> · <code>/api/tickers</code> · <code>/api/trending</code> · <code>/api/spam</code> · <code>/api/ticker/:symbol</code> · <code>/api/registry</code> · <code>/api/authors</code> · <code>/api/narratives</code> · <code>/api/fear</code> · <code>/api/stream</code> (SSE) · <code>/api/series/{sentiment,ticker/:symbol,keyword/:term}</code> · <code>/api/brief/feed</code> (Atom/RSS) · <code>/api/briefs</code> · <code>/api/briefs/:date{,/diff}</code> · <code>/api/usage</code> · <code>/api/search?q=</code> (posts key) · <code>/api/graph</code> (JSON, GraphML) · <code>/api/ticker/:symbol/related</code> · <code>POST /api/scans</code> (ingest key) · <code>/api/status</code> · <code>/healthz</code><br>
+    Params: <code>?hours=24</code> (8, 24, 48, 168) · <code>?asOf=</code> or <code>?from=&amp;to=</code> (ISO or epoch) · series: <code>?from=&amp;to=&amp;bucket=1h</code> (30m, 1h, 4h, 1d) · <code>?format=</code> md, text (brief) · csv (tickers, fear, series) · atom, rss (feed)<br>
+    Keys: <code>Authorization: Bearer &lt;key&gt;</code> for partner access (raw posts, higher limits) · anonymous callers are limited per IP
+  </div>`;
+
+// Filled in by graph.js from /api/graph
+function coMentionGraph(window, hours) {
+  const query = windowQuery(window, hours);
+  return section({ title: '🕸️ Co-mention Graph' }, html`<div class="graph-view" id="comention-graph" data-src="${`/api/graph?${query}&limit=80`}" data-query="${query}">
+      ${emptyNote('Loading co-mention graph…')}
+    </div>
+    <div class="regime-strip-axis"><span>Size: tweets · width: shared tweets · colour: cluster · hover for the pack</span><a href="${`/api/graph?${query}&format=graphml`}">GraphML</a></div>`);
+}
+
+// model: { brief, window, hours, newest, strip, stripFrom, vs, health, search (searchBox props, or null without the posts scope) }
+function dashboardPage(m) {
+  const { brief, window, hours, health } = m;
+  const { sentiment, fear } = brief.regime;
+  const idx = brief.fearIndex;
+  const live = !brief.asOf && !window.unfiltered;
+
+  return layout({
+    title: 'CT Intelligence — Phil\'s Daily Brief',
+    head: html`<link rel="alternate" type="application/atom+xml" title="CT Intelligence — daily briefs" href="/api/brief/feed?period=24h">`,
+    scripts: [
+      html`<script src="/static/graph.js" defer></script>`,
+      live ? html`<script src="/static/live.js" data-hours="${hours}" defer></script>` : ''
+    ],
+    body: html`
+${header({
+  title: '📡 CT Intelligence — Daily Brief',
+  lines: [
+    html`<div class="subtitle">Automated Crypto Twitter intelligence from Phil's scanner — ${datasetText(health)}</div>`,
+    html`<div class="generated" id="generated">${brief.asOf ? `As of ${new Date(brief.asOf).toUTCString()}` : brief.generatedHuman} · ${brief.scanCount} scans · ${brief.window} window</div>`,
+    html`<div class="filter-note">${brief.filter
+      ? html`🧹 Spam filter dropped ${brief.filter.dropped.posts} posts (${brief.filter.dropped.mentions} ticker mentions) · <a href="${`/?${windowQuery({ ...window, unfiltered: true }, hours)}`}">show unfiltered</a>`
+      : html`Unfiltered — bot and shill posts included · <a href="${`/?${windowQuery({ ...window, unfiltered: false }, hours)}`}">filter spam</a>`}</div>`,
+    timeControls(m),
+    m.search ? searchBox(m.search) : ''
+  ]
+})}
+
+<div class="content">
+
+  ${staleBanner({ health, window, hours })}
+
+  ${statCards([
+    {
+      label: 'Regime',
+      id: 'regime',
+      value: brief.regime.label,
+      valueClass: regimeClass(brief.regime.label),
+      detail: `${formatRatio(sentiment)} ratio · ${sentiment.trend}`
+    },
+    {
+      label: 'Sentiment',
+      id: 'sentiment',
+      value: html`${sentiment.bull}% <span class="arrow-up">↑</span> ${sentiment.bear}% <span class="arrow-down">↓</span>`,
+      valueClass: 'plain',
+      detail: `${brief.scanCount} scans analyzed`
+    },
+    {
+      label: 'Fear Gauge',
+      id: 'fear',
+      value: fear,
+      valueClass: fear === 'HIGH' || fear === 'EXTREME' ? 'fear-high' : 'fear-low',
+      detail: idx.score === null ? 'No data in window' : `Score ${idx.score}/100 · metals p${Math.round(idx.components.metals.percentile)} · bears p${Math.round(idx.components.bearShare.percentile)}`
+    }
+  ])}
+
+  ${regimeStrip({ strip: m.strip, from: m.stripFrom, to: window.to })}
+
+  ${vsYesterday(m.vs)}
+
+  ${section({ title: '📊 Top Tickers' }, html`<div class="ticker-grid" id="ticker-grid">
+      ${brief.tickers.map(t => html`<a class="ticker" href="${`/ticker/${encodeURIComponent(t.name)}?${windowQuery(window, hours)}`}"><span class="ticker-name">$${t.name}</span><span class="ticker-count">${t.mentions}</span></a>`)}
+    </div>`)}
+
+  ${section({ title: '📈 Trending (vs. Historical Baseline)' }, html`<div class="momentum-list" id="momentum-list">
+      ${brief.momentum.length ? brief.momentum.map(momentumRow) : emptyNote('No ticker is running significantly above its baseline')}
+    </div>`)}
+
+  ${brief.narratives.length ? section({ title: '📡 Active Narratives' }, html`<div class="narrative-list">
+      ${brief.narratives.map(narrativeRow)}
+    </div>`) : ''}
+
+  ${coMentionGraph(window, hours)}
+
+  ${section({ title: '🥇 Commodity & Macro Signals' }, html`<div class="commodity-bars">
+      ${commodityRows(brief.commodities)}
+    </div>`)}
+
+  ${section({ title: '⚡ Highest Engagement Posts', id: 'posts-section', hidden: !brief.topPosts.length }, html`<div class="post-list" id="post-list">
+      ${brief.topPosts.slice(0, 5).map(p => postCard(p, { maxLength: 200 }))}
+    </div>`)}
+
+  ${API_NOTE}
+
+</div>
+
+<div class="footer">
+  <p>Built by Phil · AI Agent Intelligence · <a href="https://phil-portfolio-production.up.railway.app">Portfolio</a></p>
+  <p class="footer-data">${health.scans ? `Data from ${health.scans} CT scans across ${health.span.text} of autonomous monitoring · newest ${health.newest}` : 'No scan data loaded yet'}</p>
+</div>
+`
+  });
+}
+
+// ── Search ───────────────────────────────────────────────
+
+function searchResult(r, form) {
+  const link = externalLink(r.url, 'View →', 'post-link');
+  const byAuthor = new URLSearchParams({ q: '@' + String(r.author || '').replace(/^@/, ''), ...(form.api_key ? { api_key: form.api_key } : {}) });
+  return html`<div class="post">
+        <div class="post-author"><a class="post-link" href="${`/search?${byAuthor}`}">@${r.author || 'unknown'}</a> · ${utcText(r.firstSeen)}${r.duplicates ? ` · ${r.duplicates} more cop${r.duplicates === 1 ? 'y' : 'ies'}` : ''}</div>
+        <div class="post-text">${highlighted(r.snippet, r.highlights)}</div>
+        <div class="post-likes">❤️ ${r.likes.toLocaleString()} · 🔁 ${r.retweets.toLocaleString()}${r.tickers.length ? ` · ${r.tickers.slice(0, 6).map(t => '$' + t).join(' ')}` : ''}${link ? html` · ${link}` : ''}</div>
+      </div>`;
+}
+
+// model: { form: { q, from, to, sort, api_key? }, query?, total?, results?, error?, index: { posts } }
+function searchPage(m) {
+  const { form, query } = m;
+  let body;
+  if (m.error) body = emptyNote(m.error);
+  else if (!query) body = emptyNote(`${m.index.posts.toLocaleString()} captured tweets indexed. Try "rate cut", $BTC @zachxbt, or a contract address.`);
+  else if (!m.total) body = emptyNote('No captured tweets match');
+  else body = html`<div class="post-list">
+      ${m.results.map(r => searchResult(r, form))}
+    </div>`;
+  const next = query && m.total > query.offset + query.limit
+    ? `/search?${new URLSearchParams({ ...form, offset: query.offset + query.limit })}`
+    : null;
+
+  return layout({
+    title: form.q ? `${form.q} — CT Intelligence search` : 'Search — CT Intelligence',
+    body: html`
+${header({
+  title: html`<a class="back-link" href="/">📡 CT Intelligence</a> / Search`,
+  lines: [searchBox({ ...form, full: true })]
+})}
+
+<div class="content">
+
+  ${section({ title: query ? `🔎 ${m.total.toLocaleString()} result${m.total === 1 ? '' : 's'}${m.total > query.limit ? ` · showing ${query.offset + 1}–${query.offset + m.results.length}` : ''}` : '🔎 Search' }, body)}
+
+  ${next ? html`<div class="regime-strip-axis"><span></span><a href="${next}">Next ${query.limit} →</a></div>` : ''}
+
+  <div class="api-note">
+    📡 JSON: <code>GET /api/search?q=&amp;from=&amp;to=&amp;sort=recent|engagement&amp;limit=&amp;offset=</code> (posts key)
+  </div>
+
+</div>
+`
+  });
+}
+
+// ── Ticker Drill-down ────────────────────────────────────
+
+// model: { t (tickerProfile), window, hours, bucket, health, related (relatedTo) }
+function tickerPage(m) {
+  const { t, window, hours } = m;
+  const peak = Math.max(1, ...t.history.map(b => b.mentions));
+  const query = windowQuery(window, hours);
+
+  return layout({
+    title: `$${t.symbol} — CT Intelligence`,
+    body: html`
+${header({
+  title: html`<a class="back-link" href="${`/?${query}`}">📡 CT Intelligence</a> / $${t.symbol}`,
+  lines: [
+    html`<div class="subtitle">${t.registry?.class ? `Class: ${t.registry.class} · ` : t.category ? `Category: ${t.category} · ` : ''}${t.aliases.length ? `Aliases: ${t.aliases.map(a => '$' + a).join(' ')} · ` : ''}${t.window.mentions} mentions in ${t.window.scans} scans (${t.perScan}/scan) · ${t.allTimeMentions} all-time · Sentiment: ${t.sentiment.label} (${t.sentiment.score})</div>`,
+    html`<div class="generated">First seen ${utcText(t.firstSeen)} · Last seen ${utcText(t.lastSeen)} · ${window.hours}h window${window.asOf === null ? '' : ` as of ${utcText(new Date(window.asOf).toISOString())}`}</div>`
+  ]
+})}
+
+<div class="content">
+
+  ${staleBanner({ health: m.health, window, hours })}
+
+  ${section({ title: `📈 Mention History (${m.bucket} buckets)` }, t.window.mentions
+    ? html`<div class="history-bars">
+      ${t.history.map(b => html`<div class="history-bar" title="${b.start} · ${b.mentions} mentions in ${b.scans} scans"><div style="height:${pct(b.mentions / peak * 100)}%"></div></div>`)}
+    </div>`
+    : emptyNote('No mentions in this window'))}
+
+  ${Object.keys(t.categories).length ? section({ title: '🏷️ Scanner Categories' }, html`<div class="ticker-grid">
+      ${Object.entries(t.categories).map(([c, n]) => html`<div class="ticker"><span class="ticker-name">${c}</span><span class="ticker-count">${n} scans</span></div>`)}
+    </div>`) : ''}
+
+  ${m.related.related.length ? section({ title: '🕸️ Named Alongside' }, html`<div class="commodity-bars">
+      ${m.related.related.map(r => html`<div class="commodity-row">
+        <a class="commodity-name ticker-link" href="${`/ticker/${encodeURIComponent(r.name)}?${query}`}">$${r.name}</a>
+        <div class="commodity-bar-bg" title="${r.shared} of ${m.related.posts} tweets · Jaccard ${r.jaccard}">${bar(r.shared / m.related.posts * 100, 'commodity-bar-fill')}</div>
+        <span class="commodity-count">${r.shared}</span>
+        <span class="author-engagement">lift ${r.lift} · PMI ${r.pmi}</span>
+      </div>`)}
+    </div>`) : ''}
+
+  ${t.authors.length ? section({ title: '🗣️ Authors Driving It' }, html`<div class="commodity-bars">
+      ${t.authors.map(a => html`<div class="commodity-row">
+        <span class="author-name">@${a.author}</span>
+        <span class="commodity-count">${a.posts} posts</span>
+        <span class="author-engagement">❤️ ${a.likes.toLocaleString()} · 🔁 ${a.retweets.toLocaleString()}</span>
+      </div>`)}
+    </div>`) : ''}
+
+  ${t.contracts.length ? section({ title: '📜 Contract Addresses Quoted' }, html`<div class="commodity-bars">
+      ${t.contracts.map(c => html`<div class="commodity-row">
+        <code class="contract">${c.address}</code>
+        <span class="commodity-count">${c.chain}</span>
+        <span class="author-engagement">${c.mentions}× · ${c.authors.map(a => '@' + a).join(', ')}</span>
+      </div>`)}
+    </div>`) : ''}
+
+  ${section({ title: '⚡ Top Supporting Tweets' }, html`<div class="post-list">
+      ${t.topPosts.length
+        ? t.topPosts.map(p => postCard(p, { when: p.firstSeen, retweets: true }))
+        : emptyNote('No captured tweets for this ticker in the window')}
+    </div>`)}
+
+  <div class="api-note">
+    📡 JSON: <code>GET /api/ticker/${encodeURIComponent(t.symbol)}?${query}</code> · <code>/api/ticker/${encodeURIComponent(t.symbol)}/related</code>
+  </div>
+
+</div>
+`
+  });
+}
+
+module.exports = {
+  windowQuery,
+  layout,
+  header,
+  section,
+  statCard,
+  statCards,
+  bar,
+  emptyNote,
+  externalLink,
+  postCard,
+  staleBanner,
+  searchBox,
+  errorPage,
+  dashboardPage,
+  searchPage,
+  tickerPage
+};
@@ -0,0 +1,185 @@
+// Force-directed view of the ticker co-mention graph (/api/graph).
+// Node size is tweets naming the ticker, edge width is shared tweets and
+// colour is the connected cluster. Hover a ticker to light up its pack,
+// drag to untangle, click to open its drill-down.
+(() => {
+  const container = document.getElementById('comention-graph');
+  if (!container) return;
+  const { src, query } = container.dataset;
+
+  const SVG = 'http://www.w3.org/2000/svg';
+  const HEIGHT = 420;
+  const TICKS = 300;
+
+  function svgEl(tag, attrs = {}, className) {
+    const node = document.createElementNS(SVG, tag);
+    for (const [k, v] of Object.entries(attrs)) node.setAttribute(k, v);
+    if (className) node.setAttribute('class', className);
+    return node;
+  }
+
+  function note(text) {
+    const div = document.createElement('div');
+    div.className = 'regime-detail';
+    div.textContent = text;
+    container.replaceChildren(div);
+  }
+
+  function radius(n) {
+    return Math.min(22, 4 + Math.sqrt(n.mentions) * 1.6);
+  }
+
+  function draw(graph) {
+    if (!graph.edges.length) {
+      note('No two tickers share enough tweets in this window');
+      return;
+    }
+    const width = container.clientWidth || 800;
+    const svg = svgEl('svg', { viewBox: `0 0 ${width} ${HEIGHT}`, role: 'img', 'aria-label': 'Ticker co-mention graph' });
+    const edgeLayer = svgEl('g');
+    const nodeLayer = svgEl('g');
+    svg.append(edgeLayer, nodeLayer);
+
+    // Start each cluster on its own spot around a circle
+    const groups = Math.max(1, ...graph.nodes.map(n => n.group + 1));
+    const nodes = graph.nodes.map((n, i) => {
+      const angle = (n.group / groups) * 2 * Math.PI;
+      return {
+        ...n,
+        r: radius(n),
+        x: width / 2 + Math.cos(angle) * width / 4 + (i % 7) * 3,
+        y: HEIGHT / 2 + Math.sin(angle) * HEIGHT / 4 + (i % 5) * 3,
+        vx: 0,
+        vy: 0,
+        links: new Set()
+      };
+    });
+    const byId = new Map(nodes.map(n => [n.id, n]));
+    const edges = graph.edges.map(e => {
+      const a = byId.get(e.source);
+      const b = byId.get(e.target);
+      a.links.add(b);
+      b.links.add(a);
+      const line = svgEl('line', { 'stroke-width': 1 + Math.log2(e.shared) }, 'graph-edge');
+      const title = svgEl('title');
+      title.textContent = `$${e.source} – $${e.target}: ${e.shared} shared tweets · lift ${e.lift} · PMI ${e.pmi}`;
+      line.append(title);
+      edgeLayer.append(line);
+      return { a, b, e, line };
+    });
+
+    for (const n of nodes) {
+      const link = svgEl('a', { href: `/ticker/${encodeURIComponent(n.id)}?${query || ''}` }, `graph-node group-${n.group % 8}`);
+      const title = svgEl('title');
+      title.textContent = `$${n.id}: ${n.mentions} tweets · ${n.degree} links${n.class ? ` · ${n.class}` : ''}`;
+      const label = svgEl('text', { dy: -n.r - 3 }, 'graph-label');
+      label.textContent = `$${n.id}`;
+      link.append(title, svgEl('circle', { r: n.r }), label);
+      nodeLayer.append(link);
+      n.el = link;
+      link.addEventListener('mouseenter', () => focus(n));
+      link.addEventListener('mouseleave', () => focus(null));
+      link.addEventListener('pointerdown', ev => startDrag(ev, n));
+    }
+
+    function focus(n) {
+      svg.classList.toggle('focused', !!n);
+      for (const m of nodes) m.el.classList.toggle('lit', !!n && (m === n || n.links.has(m)));
+      for (const { a, b, line } of edges) line.classList.toggle('lit', !!n && (a === n || b === n));
+    }
+
+    function render() {
+      for (const { a, b, line } of edges) {
+        line.setAttribute('x1', a.x.toFixed(1));
+        line.setAttribute('y1', a.y.toFixed(1));
+        line.setAttribute('x2', b.x.toFixed(1));
+        line.setAttribute('y2', b.y.toFixed(1));
+      }
+      for (const n of nodes) n.el.setAttribute('transform', `translate(${n.x.toFixed(1)},${n.y.toFixed(1)})`);
+    }
+
+    // Repulsion between every pair, springs along edges (tighter for
+    // stronger pairs) and a pull to the centre
+    function tick(alpha) {
+      for (let i = 0; i < nodes.length; i++) {
+        const a = nodes[i];
+        for (let j = i + 1; j < nodes.length; j++) {
+          const b = nodes[j];
+          let dx = b.x - a.x, dy = b.y - a.y;
+          const d2 = Math.max(dx * dx + dy * dy, 25);
+          const f = (900 * alpha) / d2;
+          dx *= f; dy *= f;
+          a.vx -= dx; a.vy -= dy;
+          b.vx += dx; b.vy += dy;
+        }
+      }
+      for (const { a, b, e } of edges) {
+        const dx = b.x - a.x, dy = b.y - a.y;
+        const d = Math.sqrt(dx * dx + dy * dy) || 1;
+        const rest = 40 + a.r + b.r;
+        const f = ((d - rest) / d) * alpha * (0.05 + 0.25 * e.jaccard);
+        a.vx += dx * f; a.vy += dy * f;
+        b.vx -= dx * f; b.vy -= dy * f;
+      }
+      for (const n of nodes) {
+        n.vx += (width / 2 - n.x) * 0.01 * alpha;
+        n.vy += (HEIGHT / 2 - n.y) * 0.01 * alpha;
+        if (n.fixed) {
+          n.vx = n.vy = 0;
+          continue;
+        }
+        n.x = Math.min(width - n.r, Math.max(n.r, n.x + (n.vx *= 0.6)));
+        n.y = Math.min(HEIGHT - n.r, Math.max(n.r + 12, n.y + (n.vy *= 0.6)));
+      }
+    }
+
+    let remaining = 0;
+    function run(ticks) {
+      const idle = remaining <= 0;
+      remaining = Math.max(remaining, ticks);
+      if (!idle) return;
+      const step = () => {
+        tick(Math.max(0.1, remaining / TICKS));
+        render();
+        if (--remaining > 0) requestAnimationFrame(step);
+      };
+      requestAnimationFrame(step);
+    }
+
+    let dragged = false;
+    function startDrag(ev, n) {
+      ev.preventDefault();
+      dragged = false;
+      const rect = svg.getBoundingClientRect();
+      const scale = width / rect.width;
+      n.fixed = true;
+      const move = e => {
+        dragged = true;
+        n.x = (e.clientX - rect.left) * scale;
+        n.y = (e.clientY - rect.top) * scale;
+        run(60);
+      };
+      const up = () => {
+        n.fixed = false;
+        window.removeEventListener('pointermove', move);
+        window.removeEventListener('pointerup', up);
+      };
+      window.addEventListener('pointermove', move);
+      window.addEventListener('pointerup', up);
+    }
+    // A drag shouldn't also follow the link
+    svg.addEventListener('click', e => {
+      if (dragged) e.preventDefault();
+      dragged = false;
+    }, true);
+
+    container.replaceChildren(svg);
+    render();
+    run(TICKS);
+  }
+
+  fetch(src, { headers: { Accept: 'application/json' } })
+    .then(res => (res.ok ? res.json() : Promise.reject(new Error(`HTTP ${res.status}`))))
+    .then(draw)
+    .catch(err => note(`Co-mention graph unavailable (${err.message})`));
+})();
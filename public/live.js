@@ -0,0 +1,140 @@
+// Live dashboard updates over /api/stream (Server-Sent Events).
+// Everything scraped is inserted with textContent, never as HTML.
+(() => {
+  const script = document.currentScript;
+  const hours = script?.dataset.hours || '24';
+  if (!window.EventSource) return;
+
+  const $ = id => document.getElementById(id);
+
+  function el(tag, className, text) {
+    const node = document.createElement(tag);
+    if (className) node.className = className;
+    if (text !== undefined) node.textContent = text;
+    return node;
+  }
+
+  function flash(node) {
+    if (!node) return;
+    node.classList.remove('live-flash');
+    void node.offsetWidth;
+    node.classList.add('live-flash');
+  }
+
+  function setText(id, text) {
+    const node = $(id);
+    if (!node || node.textContent === text) return;
+    node.textContent = text;
+    flash(node);
+  }
+
+  function regimeClass(label) {
+    return label.includes('BULL') ? 'bullish' : label.includes('BEAR') ? 'bearish' : 'neutral';
+  }
+
+  function renderRegime(brief) {
+    const { regime, scanCount } = brief;
+    const value = $('regime-value');
+    if (value) value.className = `regime-value ${regimeClass(regime.label)}`;
+    setText('regime-value', regime.label);
+    const { ratio, bull } = regime.sentiment;
+    const ratioText = ratio !== null ? `${ratio}:1` : bull > 0 ? '∞:1' : '—';
+    setText('regime-detail', `${ratioText} ratio · ${regime.sentiment.trend}`);
+
+    const sentiment = $('sentiment-value');
+    if (sentiment) {
+      sentiment.replaceChildren(
+        `${regime.sentiment.bull}% `, el('span', 'arrow-up', '↑'),
+        ` ${regime.sentiment.bear}% `, el('span', 'arrow-down', '↓')
+      );
+    }
+    setText('sentiment-detail', `${scanCount} scans analyzed`);
+
+    const fear = $('fear-value');
+    if (fear) fear.className = `regime-value ${regime.fear === 'HIGH' || regime.fear === 'EXTREME' ? 'fear-high' : 'fear-low'}`;
+    setText('fear-value', regime.fear);
+    const idx = brief.fearIndex;
+    setText('fear-detail', !idx || idx.score === null
+      ? 'No data in window'
+      : `Score ${idx.score}/100 · metals p${Math.round(idx.components.metals.percentile)} · bears p${Math.round(idx.components.bearShare.percentile)}`);
+    setText('generated', `${brief.generatedHuman} · ${scanCount} scans · ${brief.window} window`);
+  }
+
+  function renderTickers(tickers) {
+    const grid = $('ticker-grid');
+    if (!grid) return;
+    grid.replaceChildren(...tickers.map(t => {
+      const row = el('a', 'ticker');
+      row.href = `/ticker/${encodeURIComponent(t.name)}?hours=${encodeURIComponent(hours)}`;
+      row.append(el('span', 'ticker-name', `$${t.name}`), el('span', 'ticker-count', String(t.mentions)));
+      return row;
+    }));
+  }
+
+  function renderMomentum(momentum) {
+    const list = $('momentum-list');
+    if (!list) return;
+    if (!momentum.length) {
+      list.replaceChildren(el('div', 'regime-detail', 'No ticker is running significantly above its baseline'));
+      return;
+    }
+    list.replaceChildren(...momentum.map(m => {
+      const isNew = m.change === 'NEW';
+      const dir = isNew ? 'new' : 'up';
+      const pct = Math.round(m.confidence * 100);
+      const row = el('div', 'momentum-item');
+      const bar = el('div', 'momentum-bar');
+      bar.title = `${pct}% confidence · z=${m.z}`;
+      const fill = el('div', `momentum-fill ${dir}`);
+      fill.style.width = `${pct}%`;
+      bar.append(fill);
+      row.append(
+        el('span', 'momentum-name', `$${m.name}`),
+        bar,
+        el('span', `momentum-change ${dir}`, isNew ? '🆕 NEW' : `+${m.change}%`)
+      );
+      return row;
+    }));
+  }
+
+  function renderPost(p) {
+    const post = el('div', 'post');
+    const text = p.text || '';
+    post.append(
+      el('div', 'post-author', `@${p.author || 'unknown'}`),
+      el('div', 'post-text', text.substring(0, 200) + (text.length > 200 ? '...' : ''))
+    );
+    const likes = el('div', 'post-likes', `❤️ ${(p.likes || 0).toLocaleString()}`);
+    if (p.url && /^https?:\/\//.test(p.url)) {
+      const link = el('a', 'post-link', 'View →');
+      link.href = p.url;
+      link.target = '_blank';
+      link.rel = 'noopener noreferrer';
+      likes.append(' · ', link);
+    }
+    post.append(likes);
+    return post;
+  }
+
+  function renderPosts(posts) {
+    const list = $('post-list');
+    const section = $('posts-section');
+    if (!list || !section) return;
+    section.hidden = !posts.length;
+    list.replaceChildren(...posts.slice(0, 5).map(renderPost));
+  }
+
+  const source = new EventSource(`/api/stream?hours=${encodeURIComponent(hours)}`);
+
+  source.addEventListener('brief', e => {
+    const brief = JSON.parse(e.data);
+    renderRegime(brief);
+    renderTickers(brief.tickers);
+    renderMomentum(brief.momentum);
+    renderPosts(brief.topPosts);
+  });
+
+  source.addEventListener('posts', () => flash($('post-list')));
+  source.addEventListener('regime', () => flash($('regime-value')));
+  source.addEventListener('fear', () => flash($('fear-value')));
+})();
@@ -1,758 +1,945 @@
 const express = require('express');
-const fs = require('fs');
+const crypto = require('crypto');
 const path = require('path');
+const { createScanStore } = require('./lib/store');
+const { parseTime } = require('./lib/time');
+const series = require('./lib/series');
+const { createAlertEngine, RuleError } = require('./lib/alerts');
+const { createBriefStream } = require('./lib/stream');
+const { normalizeSymbol } = require('./lib/ticker');
+const authorIndex = require('./lib/authors');
+const { watchNarrativeConfig } = require('./lib/narratives');
+const { ASSET_CLASSES, createTickerRegistry, RegistryError } = require('./lib/registry');
+const spam = require('./lib/spam');
+const { COMPONENTS } = require('./lib/fear');
+const regimes = require('./lib/regime');
+const exporter = require('./lib/export');
+const { DATE_RE, createBriefArchive } = require('./lib/archive');
+const { SCOPES, KeyError, createKeyStore } = require('./lib/keys');
+const { findBundle } = require('./lib/bundle');
+const { createIntel } = require('./lib/intel');
+const search = require('./lib/search');
+const graph = require('./lib/graph');
+const { CONTENT_SECURITY_POLICY } = require('./lib/html');
+const views = require('./lib/views');
 const app = express();
 const PORT = process.env.PORT || 3500;
 
-// Data directory (live) or bundled fallback
+// Scan batches bring their own, larger body limit (see POST /api/scans)
+const SCANS_BODY_LIMIT = process.env.CT_SCANS_BODY_LIMIT || '25mb';
+app.use(express.json({ limit: '1mb', type: req => req.path !== '/api/scans' && !!req.is('application/json') }));
+app.use('/static', express.static(path.join(__dirname, 'public')));
+
+// Data directory (live) or bundled fallback. Without CT_BUNDLE_PATH the
+// first bundle bundle-data.js can produce that exists is used.
 const DATA_DIR = process.env.CT_DATA_DIR || path.join(process.env.HOME || '/root', 'ct-scanner/data');
-const BUNDLE_PATH = path.join(__dirname, 'scans-bundle.json');
-let bundledScans = null;
-
-// Try to load bundled scans for deployment
-try {
-  if (fs.existsSync(BUNDLE_PATH)) {
-    bundledScans = JSON.parse(fs.readFileSync(BUNDLE_PATH));
-    console.log(`Loaded ${bundledScans.length} bundled scans`);
-  }
-} catch (e) {
-  console.log('No bundled scans available');
-}
+const BUNDLE_PATH = process.env.CT_BUNDLE_PATH || findBundle(__dirname);
 
-// ── Helpers ──────────────────────────────────────────────
+// Server-side state (alert rules and history, registry edits) lives here
+const STATE_DIR = process.env.CT_STATE_DIR || path.join(__dirname, 'state');
 
-function loadScans(hours = 24) {
-  const cutoff = Date.now() - hours * 3600 * 1000;
-  
-  // Try live directory first
-  let allScans = [];
-  try {
-    if (fs.existsSync(DATA_DIR)) {
-      const files = fs.readdirSync(DATA_DIR)
-        .filter(f => f.endsWith('.json'))
-        .sort();
-      
-      for (const f of files) {
-        try {
-          const data = JSON.parse(fs.readFileSync(path.join(DATA_DIR, f)));
-          const ts = data.timestamp ? new Date(data.timestamp).getTime() : 0;
-          allScans.push({ ...data, _ts: ts });
-        } catch (e) {}
-      }
-    }
-  } catch (e) {}
-  
-  // Fall back to bundled data
-  if (allScans.length === 0 && bundledScans) {
-    allScans = bundledScans.map(s => ({
-      ...s,
-      _ts: s.timestamp ? new Date(s.timestamp).getTime() : 0
-    }));
-  }
-  
-  // Filter by time window
-  if (hours === 0) return allScans;
-  return allScans.filter(s => s._ts >= cutoff);
+// Loaded once at boot (see Start); new scanner output is picked up
+// incrementally, and scans pushed to POST /api/scans are kept in CT_PUSH_DIR
+const store = createScanStore({
+  dataDir: DATA_DIR,
+  bundlePath: BUNDLE_PATH,
+  pushDir: process.env.CT_PUSH_DIR || path.join(STATE_DIR, 'scans')
+});
+
+// Ticker taxonomy, re-seeded from scanner categories as scans arrive
+const registry = createTickerRegistry({
+  configPath: process.env.CT_TICKERS_CONFIG || path.join(__dirname, 'tickers.json'),
+  statePath: path.join(STATE_DIR, 'tickers.json')
+});
+store.on('ingest', () => registry.seed(store.all()));
+
+// Spam/bot filter thresholds and author allow/deny lists
+const spamConfig = spam.loadFilterConfig(process.env.CT_SPAM_CONFIG || path.join(__dirname, 'spam.json'));
+
+// Narrative definitions, re-read when the file changes
+const narrativeConfig = watchNarrativeConfig(process.env.CT_NARRATIVES_CONFIG || path.join(__dirname, 'narratives.json'));
+
+// Windows, signals and the brief (lib/intel). Newest scan older than
+// CT_STALE_AFTER_MINUTES flags the data as stale.
+const intel = createIntel({
+  store,
+  registry,
+  spamConfig,
+  narrativeConfig,
+  staleAfterMs: (parseFloat(process.env.CT_STALE_AFTER_MINUTES) || 90) * 60 * 1000
+});
+const {
+  parseWindow, recentWindow, loadScans, spamFiltered, signalScans, filterSummary,
+  extractTickers, extractCommodities, fearIndex, fearReading,
+  getTrending, autoBucket, getTickerProfile, getTickerGraph, getRelatedTickers,
+  getAuthorIndex, getNarratives,
+  alertSnapshot, generateBrief, compactBrief, dataHealth
+} = intel;
+
+// CT_ADMIN_TOKEN is a bootstrap admin key with every scope and no limits,
+// for issuing the first API keys
+const ADMIN_TOKEN = process.env.CT_ADMIN_TOKEN || null;
+
+// API keys and usage; callers without one get CT_ANON_RATE_LIMIT requests
+// a minute per IP. Set CT_TRUST_PROXY to the number of proxy hops in front.
+const keys = createKeyStore({
+  statePath: path.join(STATE_DIR, 'keys.json'),
+  anonymous: { rateLimit: parseInt(process.env.CT_ANON_RATE_LIMIT) || 30 }
+});
+if (process.env.CT_TRUST_PROXY) app.set('trust proxy', parseInt(process.env.CT_TRUST_PROXY) || process.env.CT_TRUST_PROXY);
+
+const alerts = createAlertEngine({
+  configPath: process.env.CT_ALERTS_CONFIG || path.join(__dirname, 'alerts.json'),
+  statePath: path.join(STATE_DIR, 'alerts.json'),
+  webhooks: (process.env.CT_ALERT_WEBHOOKS || '').split(',').map(u => u.trim()).filter(Boolean),
+  secret: process.env.CT_ALERT_SECRET || null,
+  snapshot: alertSnapshot
+});
+
+// Daily brief snapshots on disk. CT_BRIEF_TIMES: comma-separated UTC HH:MM.
+const archive = createBriefArchive({
+  dir: path.join(STATE_DIR, 'briefs'),
+  times: process.env.CT_BRIEF_TIMES || '00:00',
+  backfillDays: parseInt(process.env.CT_BRIEF_BACKFILL_DAYS) || 14,
+  build: at => {
+    const window = parseWindow({ hours: 24, asOf: at });
+    return loadScans(window).length ? generateBrief(window) : null;
+  },
+  bounds: () => ({ oldest: store.all()[0]?.ts ?? null, newest: store.all().at(-1)?.ts ?? null })
+});
+
+const stream = createBriefStream({
+  store,
+  build: hours => generateBrief(recentWindow(hours)),
+  compact: compactBrief,
+  canReadPosts
+});
+
+// Full-text index over every captured post, fed as scans arrive
+const searchIndex = search.createSearchIndex();
+store.on('ingest', scans => searchIndex.add(scans));
+
+// ── Health ───────────────────────────────────────────────
+
+// Liveness for load balancers and uptime checks, ahead of keys and rate
+// limits. 503 when there is no data; with ?strict=1 also when it is stale.
+app.get('/healthz', (req, res) => {
+  const fresh = dataHealth();
+  const status = store.status();
+  const ok = fresh.status !== 'empty' && !(fresh.stale && req.query.strict);
+  res.status(ok ? 200 : 503).json({
+    status: fresh.status,
+    source: status.source,
+    scans: fresh.scans,
+    oldest: fresh.oldest,
+    newest: fresh.newest,
+    ageMinutes: fresh.ageMinutes,
+    stale: fresh.stale,
+    gaps: fresh.gaps.count,
+    failures: status.failures.length
+  });
+});
+
+// ── Access ───────────────────────────────────────────────
+
+const ROOT = { id: 'admin-token', scopes: SCOPES, rateLimit: null, quota: null };
+
+// Constant-time comparison with the admin token (lengths differ → no match)
+function isAdminToken(secret) {
+  if (!ADMIN_TOKEN) return false;
+  const given = Buffer.from(secret);
+  const expected = Buffer.from(ADMIN_TOKEN);
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
 }
 
-function analyzeSentiment(scans) {
-  if (!scans.length) return { bull: 0, bear: 0, ratio: 0, trend: 'NO DATA' };
-  
-  let totalBull = 0, totalBear = 0;
-  for (const s of scans) {
-    totalBull += (s.sentiment?.bullish || 0);
-    totalBear += (s.sentiment?.bearish || 0);
-  }
-  const avgBull = totalBull / scans.length;
-  const avgBear = totalBear / scans.length;
-  const ratio = avgBear > 0 ? (avgBull / avgBear).toFixed(2) : avgBull > 0 ? '∞' : '0';
-  
-  // Trend: compare first half vs second half
-  const mid = Math.floor(scans.length / 2);
-  const firstHalf = scans.slice(0, mid);
-  const secondHalf = scans.slice(mid);
-  const firstBull = firstHalf.reduce((a, s) => a + (s.sentiment?.bullish || 0), 0) / (firstHalf.length || 1);
-  const secondBull = secondHalf.reduce((a, s) => a + (s.sentiment?.bullish || 0), 0) / (secondHalf.length || 1);
-  const trend = secondBull > firstBull * 1.1 ? 'RISING' : secondBull < firstBull * 0.9 ? 'DECLINING' : 'STABLE';
-  
-  return {
-    bull: parseFloat(avgBull.toFixed(1)),
-    bear: parseFloat(avgBear.toFixed(1)),
-    ratio: parseFloat(ratio) || 0,
-    trend,
-    scans: scans.length
-  };
+// Bearer token, X-API-Key, or ?api_key= for EventSource and feed readers.
+// A repeated ?api_key= parses to an array, which is no key at all.
+function presentedKey(req) {
+  const auth = req.get('Authorization');
+  if (auth && auth.startsWith('Bearer ')) return auth.slice(7).trim();
+  return req.get('X-API-Key') || req.query.api_key || null;
 }
 
-function extractTickers(scans) {
-  const tickers = {};
-  for (const s of scans) {
-    // Format 1: topTickers as array of [name, count]
-    if (Array.isArray(s.topTickers)) {
-      for (const entry of s.topTickers) {
-        if (Array.isArray(entry) && entry.length >= 2) {
-          const name = entry[0].replace(/^\$/, '');
-          tickers[name] = (tickers[name] || 0) + entry[1];
-        }
-      }
-    }
-    // Format 2: tickers as object
-    if (s.tickers && typeof s.tickers === 'object') {
-      for (const [ticker, count] of Object.entries(s.tickers)) {
-        const name = ticker.replace(/^\$/, '');
-        tickers[name] = (tickers[name] || 0) + count;
-      }
-    }
-    // Format 3: byCategory
-    if (s.byCategory) {
-      for (const cat of Object.values(s.byCategory)) {
-        if (Array.isArray(cat)) {
-          for (const item of cat) {
-            if (item.ticker && item.count) {
-              const name = item.ticker.replace(/^\$/, '');
-              tickers[name] = (tickers[name] || 0) + item.count;
-            }
-          }
-        }
-      }
-    }
-  }
-  return Object.entries(tickers)
-    .sort((a, b) => b[1] - a[1])
-    .slice(0, 20)
-    .map(([name, mentions]) => ({ name, mentions }));
+// Identify the caller, enforce its rate limit and quota, and meter the
+// request once it has been served. A wrong key is an error, not anonymous.
+app.use((req, res, next) => {
+  const secret = presentedKey(req);
+  let principal;
+  if (secret === null) principal = keys.anonymousPrincipal(req.ip);
+  else if (typeof secret !== 'string') return res.status(401).json({ error: 'give one API key as a string' });
+  else if (isAdminToken(secret)) principal = ROOT;
+  else principal = keys.authenticate(secret);
+  if (!principal) return res.status(401).json({ error: 'invalid or revoked API key' });
+  req.principal = principal;
+  if (principal === ROOT) return next();
+
+  const verdict = keys.consume(principal);
+  res.set('X-RateLimit-Limit', String(verdict.limit));
+  res.set('X-RateLimit-Remaining', String(verdict.remaining));
+  if (!verdict.ok) {
+    res.set('Retry-After', String(verdict.retryAfter));
+    return res.status(429).json({ error: verdict.reason, retryAfter: verdict.retryAfter });
+  }
+  res.on('finish', () => keys.record(principal, req.route ? `${req.method} ${req.route.path}` : 'other'));
+  next();
+});
+
+// Raw tweet text and author handles sit behind the posts scope, as on
+// /api/search and /api/authors. The brief-scope routes that carry them
+// (briefs, narratives, ticker profiles) empty those lists for other callers.
+function canReadPosts(req) {
+  return req.principal.scopes.includes('posts');
 }
 
-function extractCommodities(scans) {
-  const comms = {};
-  for (const s of scans) {
-    if (s.keywordMentions) {
-      // Structured keyword mentions from scanner
-      for (const category of ['commodities', 'metals', 'macro', 'industry']) {
-        const cat = s.keywordMentions[category];
-        if (cat && typeof cat === 'object') {
-          for (const [key, count] of Object.entries(cat)) {
-            comms[key] = (comms[key] || 0) + count;
-          }
-        }
-      }
-    }
-  }
-  // Deduplicate: gold appears in both commodities and metals
-  // Keep the higher count (they're the same signal)
-  return Object.entries(comms)
-    .sort((a, b) => b[1] - a[1])
-    .map(([name, mentions]) => ({ name, mentions }));
+function narrativesFor(req, narratives) {
+  return canReadPosts(req) ? narratives : narratives.map(n => ({ ...n, posts: [] }));
 }
 
-function detectRegime(sentiment) {
-  if (sentiment.ratio >= 4) return 'EUPHORIA';
-  if (sentiment.ratio >= 2.5) return 'BULLISH';
-  if (sentiment.ratio >= 1.5) return 'LEANING BULL';
-  if (sentiment.ratio >= 0.7) return 'NEUTRAL';
-  if (sentiment.ratio >= 0.4) return 'LEANING BEAR';
-  return 'BEARISH';
+function briefFor(req, brief) {
+  if (canReadPosts(req)) return brief;
+  return { ...brief, topPosts: [], narratives: narrativesFor(req, brief.narratives) };
 }
 
-function fearGauge(commodities) {
-  const gold = commodities.find(c => c.name === 'gold')?.mentions || 0;
-  const silver = commodities.find(c => c.name === 'silver')?.mentions || 0;
-  const total = gold + silver;
-  if (total > 50) return 'EXTREME';
-  if (total > 30) return 'HIGH';
-  if (total > 15) return 'ELEVATED';
-  if (total > 5) return 'MODERATE';
-  return 'LOW';
+function tickerProfileFor(req, t) {
+  if (canReadPosts(req)) return t;
+  return { ...t, topPosts: [], authors: [], contracts: t.contracts.map(c => ({ ...c, authors: [] })) };
 }
 
-function getHighEngagement(scans, limit = 5) {
-  const posts = [];
-  for (const s of scans) {
-    if (s.highEngagement) {
-      for (const p of s.highEngagement) {
-        posts.push(p);
-      }
-    }
-    // Also check tweets array
-    if (s.tweets) {
-      for (const t of s.tweets) {
-        if (t.likes && t.likes > 100) {
-          posts.push({
-            author: t.username || t.author,
-            likes: t.likes,
-            text: t.text?.substring(0, 200),
-            url: t.url
-          });
-        }
-      }
-    }
-  }
-  return posts
-    .sort((a, b) => (b.likes || 0) - (a.likes || 0))
-    .slice(0, limit)
-    .filter((p, i, arr) => arr.findIndex(q => q.url === p.url) === i); // dedup
+function requireScope(scope) {
+  return (req, res, next) => {
+    if (req.principal.scopes.includes(scope)) return next();
+    if (req.principal.anonymous) return res.status(401).json({ error: `API key with the ${scope} scope required` });
+    res.status(403).json({ error: `API key lacks the ${scope} scope` });
+  };
 }
 
-function generateBrief(hours = 24) {
-  const scans = loadScans(hours);
-  const sentiment = analyzeSentiment(scans);
-  const regime = detectRegime(sentiment);
-  const tickers = extractTickers(scans);
-  const commodities = extractCommodities(scans);
-  const fear = fearGauge(commodities);
-  const topPosts = getHighEngagement(scans, 5);
-  
-  // Momentum: split-half comparison for top tickers
-  const mid = Math.floor(scans.length / 2);
-  const firstScans = scans.slice(0, mid);
-  const secondScans = scans.slice(mid);
-  const firstTickers = extractTickers(firstScans);
-  const secondTickers = extractTickers(secondScans);
-  
-  const momentum = tickers.slice(0, 10).map(t => {
-    const first = firstTickers.find(ft => ft.name === t.name)?.mentions || 0;
-    const second = secondTickers.find(st => st.name === t.name)?.mentions || 0;
-    const perScanFirst = firstScans.length ? first / firstScans.length : 0;
-    const perScanSecond = secondScans.length ? second / secondScans.length : 0;
-    const change = perScanFirst > 0 ? ((perScanSecond - perScanFirst) / perScanFirst * 100).toFixed(0) : 'NEW';
-    return { name: t.name, mentions: t.mentions, change: change === 'NEW' ? 'NEW' : parseInt(change) };
-  });
+// ── API Routes ───────────────────────────────────────────
 
-  // Narratives
-  const narratives = [];
-  const memecoins = tickers.filter(t => !['BTC', 'ETH', 'SOL', 'MSTR', 'SPX', 'NVDA', 'TSLA'].includes(t.name));
-  if (memecoins.length > 5) narratives.push({ type: '🎰', label: 'Memecoin attention dominates', strength: memecoins.reduce((a, t) => a + t.mentions, 0) });
-  const tradfi = tickers.filter(t => ['MSTR', 'SPX', 'NVDA', 'TSLA', 'AAPL'].includes(t.name));
-  if (tradfi.length > 0) narratives.push({ type: '🏦', label: 'TradFi crossover active', strength: tradfi.reduce((a, t) => a + t.mentions, 0) });
-  if (fear === 'HIGH' || fear === 'EXTREME') narratives.push({ type: '🥇', label: 'Precious metals elevated — flight to safety', strength: (commodities.find(c => c.name === 'gold')?.mentions || 0) });
-
-  const now = new Date();
-  return {
-    generated: now.toISOString(),
-    generatedHuman: now.toLocaleString('en-US', { timeZone: 'America/New_York', dateStyle: 'full', timeStyle: 'short' }),
-    window: `${hours}h`,
-    scanCount: scans.length,
-    regime: {
-      label: regime,
-      sentiment,
-      fear
-    },
-    tickers: tickers.slice(0, 15),
-    momentum,
-    commodities: commodities.slice(0, 8),
-    narratives,
-    topPosts,
-    meta: {
-      source: 'Phil\'s CT Scanner — 477+ scans across 15 days',
-      description: 'Automated intelligence from Crypto Twitter monitoring',
-      agent: 'Phil (Clawdbot AI Agent)',
-      frequency: '~30 min scan interval'
+// Runs handler(window) or answers 400 when the window params are malformed
+function withWindow(handler) {
+  return (req, res) => {
+    let window;
+    try {
+      window = parseWindow(req.query);
+    } catch (e) {
+      return res.status(400).json({ error: e.message });
     }
+    handler(req, res, window);
   };
 }
 
-// ── API Routes ───────────────────────────────────────────
+// Answers with the negotiated format, or the 400/406 when there is none
+function sendAs(req, res, allowed, renderers) {
+  const { format, status, error } = exporter.negotiate(req, allowed);
+  if (!format) return res.status(status).json({ error });
+  if (format === 'json') return res.json(renderers.json());
+  res.type(exporter.FORMATS[format]).send(renderers[format]());
+}
 
-app.get('/api/brief', (req, res) => {
-  const hours = parseInt(req.query.hours) || 24;
-  res.json(generateBrief(hours));
+// JSON (default), Markdown or plain text via ?format= or Accept
+app.get('/api/brief', requireScope('brief'), withWindow((req, res, window) => {
+  const brief = briefFor(req, generateBrief(window));
+  sendAs(req, res, ['json', 'md', 'text'], {
+    json: () => brief,
+    md: () => exporter.briefToMarkdown(brief),
+    text: () => exporter.briefToText(brief)
+  });
+}));
+
+app.get('/api/brief/compact', requireScope('brief'), withWindow((req, res, window) => {
+  res.json(compactBrief(generateBrief(window)));
+}));
+
+// One brief per UTC-aligned period (?period=8h|24h), newest first, as Atom
+// (default) or RSS. Editions end at period boundaries up to the newest scan,
+// so entry ids stay stable between fetches; empty periods are skipped.
+const FEED_PERIODS = { '8h': 8, '24h': 24 };
+app.get('/api/brief/feed', requireScope('brief'), (req, res) => {
+  const period = req.query.period || '24h';
+  const hours = FEED_PERIODS[period];
+  if (!hours) return res.status(400).json({ error: `period must be one of ${Object.keys(FEED_PERIODS).join(', ')}` });
+  const count = Math.min(parseInt(req.query.count) || 10, 50);
+  const { format, status, error } = exporter.negotiate(req, ['atom', 'rss']);
+  if (!format) return res.status(status).json({ error });
+
+  const periodMs = hours * 3600 * 1000;
+  const newest = store.all().at(-1)?.ts;
+  const editions = [];
+  if (newest !== undefined) {
+    const oldest = store.all()[0].ts;
+    for (let end = Math.floor(newest / periodMs) * periodMs; end > oldest && editions.length < count; end -= periodMs) {
+      const window = parseWindow({ hours, asOf: end });
+      if (store.range(window.from, window.to).length) editions.push(briefFor(req, generateBrief(window)));
+    }
+  }
+  const base = `${req.protocol}://${req.get('host')}`;
+  const feed = {
+    id: `${base}/api/brief/feed/${period}`,
+    title: `CT Intelligence — ${period} briefs`,
+    link: `${base}/`,
+    self: `${base}${req.originalUrl}`
+  };
+  res.type(exporter.FORMATS[format]).send(format === 'rss' ? exporter.briefsToRss(editions, feed) : exporter.briefsToAtom(editions, feed));
 });
 
-app.get('/api/brief/compact', (req, res) => {
-  const hours = parseInt(req.query.hours) || 24;
-  const brief = generateBrief(hours);
+// Live updates for the dashboard: brief, new posts, regime/fear changes
+app.get('/api/stream', requireScope('brief'), stream.handler);
+
+app.get('/api/tickers', requireScope('brief'), withWindow((req, res, window) => {
+  const assetClass = req.query.class || null;
+  if (assetClass && !ASSET_CLASSES.includes(assetClass)) {
+    return res.status(400).json({ error: `class must be one of ${ASSET_CLASSES.join(', ')}` });
+  }
+  const scans = signalScans(window);
+  // The list stays a bare array; what the spam filter removed goes in headers
+  const filter = filterSummary(window, scans);
+  if (filter) {
+    res.set('X-CT-Dropped-Posts', String(filter.dropped.posts));
+    res.set('X-CT-Dropped-Mentions', String(filter.dropped.mentions));
+  }
+  const tickers = extractTickers(scans, { assetClass });
+  sendAs(req, res, ['json', 'csv'], {
+    json: () => tickers,
+    csv: () => exporter.toCsv(tickers, ['name', 'mentions', 'class'])
+  });
+}));
+
+app.get('/api/trending', requireScope('brief'), withWindow((req, res, window) => {
+  const opts = {};
+  for (const key of ['minMentions', 'minScans', 'maxP', 'limit']) {
+    if (req.query[key] !== undefined && Number.isFinite(Number(req.query[key]))) opts[key] = Number(req.query[key]);
+  }
+  const result = getTrending(window, opts);
   res.json({
-    regime: brief.regime.label,
-    sentiment: `${brief.regime.sentiment.bull}%↑ ${brief.regime.sentiment.bear}%↓`,
-    ratio: brief.regime.sentiment.ratio + ':1',
-    trend: brief.regime.sentiment.trend,
-    fear: brief.regime.fear,
-    topTickers: brief.tickers.slice(0, 5).map(t => `$${t.name}(${t.mentions})`).join(' '),
-    scans: brief.scanCount
+    from: new Date(window.from).toISOString(),
+    to: new Date(window.to).toISOString(),
+    ...result,
+    filter: filterSummary(window)
   });
-});
+}));
+
+// Posts the spam filter dropped in the window, grouped by author
+app.get('/api/spam', requireScope('posts'), withWindow((req, res, window) => {
+  const { scores } = spamFiltered(window.to);
+  const authors = {};
+  for (const p of authorIndex.uniquePosts(loadScans(window))) {
+    const verdict = scores.get(spam.postKey(p));
+    if (!verdict || verdict.score < spamConfig.threshold) continue;
+    const a = authors[p.author] || (authors[p.author] = { author: p.author, posts: 0, reasons: {}, example: p.text });
+    a.posts++;
+    for (const r of verdict.reasons) a.reasons[r] = (a.reasons[r] || 0) + 1;
+  }
+  res.json({
+    from: new Date(window.from).toISOString(),
+    to: new Date(window.to).toISOString(),
+    threshold: spamConfig.threshold,
+    dropped: spam.droppedTotals(signalScans({ ...window, unfiltered: false }), scores),
+    authors: Object.values(authors)
+      .sort((a, b) => b.posts - a.posts)
+      .slice(0, parseInt(req.query.limit) || 50)
+  });
+}));
 
-app.get('/api/tickers', (req, res) => {
-  const hours = parseInt(req.query.hours) || 24;
-  const scans = loadScans(hours);
-  res.json(extractTickers(scans));
-});
+app.get('/api/ticker/:symbol', requireScope('brief'), withWindow((req, res, window) => {
+  if (!normalizeSymbol(req.params.symbol)) return res.status(400).json({ error: 'symbol is required' });
+  res.json({
+    from: new Date(window.from).toISOString(),
+    to: new Date(window.to).toISOString(),
+    ...tickerProfileFor(req, getTickerProfile(req.params.symbol, window))
+  });
+}));
 
-app.get('/api/fear', (req, res) => {
-  const hours = parseInt(req.query.hours) || 24;
-  const scans = loadScans(hours);
-  const commodities = extractCommodities(scans);
-  res.json({ gauge: fearGauge(commodities), commodities });
-});
+// ── Co-mention Graph ─────────────────────────────────────
 
-// ── Web Dashboard ────────────────────────────────────────
+// Integer ?name= within [min, max], or the fallback when absent
+function intParam(query, name, fallback, min, max) {
+  if (query[name] === undefined) return fallback;
+  const n = Number(query[name]);
+  if (!(Number.isInteger(n) && n >= min && n <= max)) throw new Error(`${name} must be an integer from ${min} to ${max}`);
+  return n;
+}
 
-app.get('/', (req, res) => {
-  const hours = parseInt(req.query.hours) || 24;
-  const brief = generateBrief(hours);
-  
-  res.send(`<!DOCTYPE html>
-<html lang="en">
-<head>
-<meta charset="UTF-8">
-<meta name="viewport" content="width=device-width, initial-scale=1.0">
-<title>CT Intelligence — Phil's Daily Brief</title>
-<style>
-  @import url('https://fonts.googleapis.com/css2?family=JetBrains+Mono:wght@300;400;500;600&family=Inter:wght@300;400;500;600&display=swap');
-  
-  * { margin: 0; padding: 0; box-sizing: border-box; }
-  
-  :root {
-    --bg: #0a0a0f;
-    --surface: #12121a;
-    --border: #1e1e2e;
-    --text: #e0e0e8;
-    --dim: #6b6b80;
-    --accent: #4ade80;
-    --warn: #fbbf24;
-    --danger: #f87171;
-    --info: #60a5fa;
-  }
-  
-  body {
-    background: var(--bg);
-    color: var(--text);
-    font-family: 'Inter', system-ui, sans-serif;
-    min-height: 100vh;
-    padding: 0;
-  }
-  
-  .header {
-    background: linear-gradient(135deg, #0f1a12 0%, #0a0a0f 50%, #0f0f1a 100%);
-    border-bottom: 1px solid var(--border);
-    padding: 2rem;
-  }
-  
-  .header-inner {
-    max-width: 900px;
-    margin: 0 auto;
-  }
-  
-  .header h1 {
-    font-family: 'JetBrains Mono', monospace;
-    font-size: 1.1rem;
-    font-weight: 400;
-    color: var(--accent);
-    letter-spacing: 0.05em;
-  }
-  
-  .header .subtitle {
-    font-size: 0.85rem;
-    color: var(--dim);
-    margin-top: 0.3rem;
-  }
-  
-  .header .generated {
-    font-family: 'JetBrains Mono', monospace;
-    font-size: 0.75rem;
-    color: var(--dim);
-    margin-top: 0.5rem;
-    opacity: 0.7;
-  }
-  
-  .content {
-    max-width: 900px;
-    margin: 0 auto;
-    padding: 2rem;
-  }
-  
-  .regime-card {
-    background: var(--surface);
-    border: 1px solid var(--border);
-    border-radius: 12px;
-    padding: 1.5rem;
-    margin-bottom: 1.5rem;
-    display: grid;
-    grid-template-columns: 1fr 1fr 1fr;
-    gap: 1.5rem;
-  }
-  
-  .regime-item {
-    text-align: center;
-  }
-  
-  .regime-label {
-    font-family: 'JetBrains Mono', monospace;
-    font-size: 0.7rem;
-    color: var(--dim);
-    text-transform: uppercase;
-    letter-spacing: 0.1em;
-    margin-bottom: 0.5rem;
-  }
-  
-  .regime-value {
-    font-family: 'JetBrains Mono', monospace;
-    font-size: 1.5rem;
-    font-weight: 600;
-  }
-  
-  .regime-value.bullish { color: var(--accent); }
-  .regime-value.bearish { color: var(--danger); }
-  .regime-value.neutral { color: var(--warn); }
-  .regime-value.fear-high { color: var(--warn); }
-  .regime-value.fear-extreme { color: var(--danger); }
-  .regime-value.fear-low { color: var(--accent); }
-  
-  .regime-detail {
-    font-size: 0.8rem;
-    color: var(--dim);
-    margin-top: 0.3rem;
-  }
-  
-  .section {
-    background: var(--surface);
-    border: 1px solid var(--border);
-    border-radius: 12px;
-    padding: 1.5rem;
-    margin-bottom: 1.5rem;
-  }
-  
-  .section h2 {
-    font-family: 'JetBrains Mono', monospace;
-    font-size: 0.8rem;
-    font-weight: 500;
-    color: var(--dim);
-    text-transform: uppercase;
-    letter-spacing: 0.1em;
-    margin-bottom: 1rem;
-    padding-bottom: 0.5rem;
-    border-bottom: 1px solid var(--border);
-  }
-  
-  .ticker-grid {
-    display: grid;
-    grid-template-columns: repeat(auto-fill, minmax(140px, 1fr));
-    gap: 0.5rem;
-  }
-  
-  .ticker {
-    display: flex;
-    justify-content: space-between;
-    align-items: center;
-    padding: 0.5rem 0.75rem;
-    background: rgba(255,255,255,0.02);
-    border-radius: 6px;
-    font-family: 'JetBrains Mono', monospace;
-    font-size: 0.8rem;
-  }
-  
-  .ticker-name { color: var(--info); font-weight: 500; }
-  .ticker-count { color: var(--dim); }
-  
-  .momentum-list {
-    display: flex;
-    flex-direction: column;
-    gap: 0.4rem;
-  }
-  
-  .momentum-item {
-    display: flex;
-    align-items: center;
-    gap: 0.75rem;
-    padding: 0.4rem 0;
-    font-family: 'JetBrains Mono', monospace;
-    font-size: 0.8rem;
-  }
-  
-  .momentum-name { color: var(--info); width: 100px; }
-  .momentum-bar {
-    flex: 1;
-    height: 4px;
-    background: var(--border);
-    border-radius: 2px;
-    overflow: hidden;
-  }
-  .momentum-fill {
-    height: 100%;
-    border-radius: 2px;
-    transition: width 0.5s ease;
-  }
-  .momentum-fill.up { background: var(--accent); }
-  .momentum-fill.down { background: var(--danger); }
-  .momentum-fill.new { background: var(--info); }
-  
-  .momentum-change { width: 60px; text-align: right; }
-  .momentum-change.up { color: var(--accent); }
-  .momentum-change.down { color: var(--danger); }
-  .momentum-change.new { color: var(--info); }
-  
-  .narrative-list {
-    display: flex;
-    flex-direction: column;
-    gap: 0.5rem;
-  }
-  
-  .narrative {
-    display: flex;
-    align-items: center;
-    gap: 0.75rem;
-    padding: 0.6rem 0.75rem;
-    background: rgba(255,255,255,0.02);
-    border-radius: 6px;
-    font-size: 0.85rem;
-  }
-  
-  .narrative-icon { font-size: 1.2rem; }
-  .narrative-text { color: var(--text); }
-  .narrative-strength { color: var(--dim); font-family: 'JetBrains Mono', monospace; font-size: 0.75rem; margin-left: auto; }
-  
-  .post-list {
-    display: flex;
-    flex-direction: column;
-    gap: 0.75rem;
-  }
-  
-  .post {
-    padding: 0.75rem;
-    background: rgba(255,255,255,0.02);
-    border-radius: 6px;
-    border-left: 2px solid var(--border);
-  }
-  
-  .post-author {
-    font-family: 'JetBrains Mono', monospace;
-    font-size: 0.75rem;
-    color: var(--info);
-    margin-bottom: 0.3rem;
-  }
-  
-  .post-text {
-    font-size: 0.85rem;
-    color: var(--text);
-    line-height: 1.4;
-    opacity: 0.9;
+// Tickers named in the same tweets. JSON (default) or GraphML via ?format=
+// or Accept; ?minShared= tweets per edge, ?limit= edges, ?exclude=BTC,ETH
+app.get('/api/graph', requireScope('brief'), withWindow((req, res, window) => {
+  let opts;
+  try {
+    opts = {
+      minShared: intParam(req.query, 'minShared', graph.GRAPH_DEFAULTS.minShared, 1, 1000),
+      maxEdges: intParam(req.query, 'limit', graph.GRAPH_DEFAULTS.maxEdges, 1, 1000),
+      exclude: String(req.query.exclude || '').split(',').map(normalizeSymbol).filter(Boolean).map(registry.resolve)
+    };
+  } catch (e) {
+    return res.status(400).json({ error: e.message });
+  }
+  const from = new Date(window.from).toISOString();
+  const to = new Date(window.to).toISOString();
+  const result = getTickerGraph(window, opts);
+  sendAs(req, res, ['json', 'graphml'], {
+    json: () => ({ from, to, ...result }),
+    graphml: () => exporter.graphToGraphml(result, { from, to })
+  });
+}));
+
+// Tickers most often named alongside this one; ?sort=lift (default), pmi or shared
+app.get('/api/ticker/:symbol/related', requireScope('brief'), withWindow((req, res, window) => {
+  if (!normalizeSymbol(req.params.symbol)) return res.status(400).json({ error: 'symbol is required' });
+  const sort = req.query.sort || graph.RELATED_DEFAULTS.sort;
+  if (!Object.hasOwn(graph.SORTS, sort)) return res.status(400).json({ error: `sort must be one of ${Object.keys(graph.SORTS).join(', ')}` });
+  let opts;
+  try {
+    opts = {
+      sort,
+      minShared: intParam(req.query, 'minShared', graph.RELATED_DEFAULTS.minShared, 1, 1000),
+      limit: intParam(req.query, 'limit', graph.RELATED_DEFAULTS.limit, 1, 100)
+    };
+  } catch (e) {
+    return res.status(400).json({ error: e.message });
   }
-  
-  .post-likes {
-    font-family: 'JetBrains Mono', monospace;
-    font-size: 0.7rem;
-    color: var(--dim);
-    margin-top: 0.3rem;
+  res.json({
+    from: new Date(window.from).toISOString(),
+    to: new Date(window.to).toISOString(),
+    ...getRelatedTickers(req.params.symbol, window, opts)
+  });
+}));
+
+app.get('/api/authors', requireScope('posts'), withWindow((req, res, window) => {
+  const sort = req.query.sort || 'posts';
+  if (!Object.hasOwn(authorIndex.SORTS, sort)) {
+    return res.status(400).json({ error: `sort must be one of ${Object.keys(authorIndex.SORTS).join(', ')}` });
   }
-  
-  .commodity-bars {
-    display: flex;
-    flex-direction: column;
-    gap: 0.4rem;
+  let limit;
+  try {
+    limit = intParam(req.query, 'limit', 50, 1, 100);
+  } catch (e) {
+    return res.status(400).json({ error: e.message });
   }
-  
-  .commodity-row {
-    display: flex;
-    align-items: center;
-    gap: 0.75rem;
-    font-family: 'JetBrains Mono', monospace;
-    font-size: 0.8rem;
+  const index = getAuthorIndex(window);
+  res.json({
+    from: new Date(window.from).toISOString(),
+    to: new Date(window.to).toISOString(),
+    total: index.length,
+    authors: authorIndex.listAuthors(index, { sort, limit })
+  });
+}));
+
+app.get('/api/authors/:handle', requireScope('posts'), withWindow((req, res, window) => {
+  const author = authorIndex.authorDetail(getAuthorIndex(window), req.params.handle);
+  if (!author) return res.status(404).json({ error: 'author not found in this window' });
+  res.json({
+    from: new Date(window.from).toISOString(),
+    to: new Date(window.to).toISOString(),
+    ...author
+  });
+}));
+
+app.get('/api/narratives', requireScope('brief'), withWindow((req, res, window) => {
+  res.json({
+    from: new Date(window.from).toISOString(),
+    to: new Date(window.to).toISOString(),
+    narratives: narrativesFor(req, getNarratives(window))
+  });
+}));
+
+// Composite fear index for the window, plus readings for same-length
+// windows every `bucket` over the preceding `historyDays`
+app.get('/api/fear', requireScope('brief'), withWindow((req, res, window) => {
+  const bucket = req.query.bucket || '4h';
+  const stepMs = series.parseBucket(bucket);
+  if (!stepMs) return res.status(400).json({ error: `bucket must be one of ${series.BUCKETS.join(', ')}` });
+  const historyDays = req.query.historyDays !== undefined ? Number(req.query.historyDays) : 7;
+  if (!(historyDays >= 0)) return res.status(400).json({ error: 'historyDays must be a number >= 0' });
+  const historyMs = historyDays * 24 * 3600 * 1000;
+  if (historyMs / stepMs > 500) return res.status(400).json({ error: 'history too long for this bucket (max 500 points)' });
+
+  const reading = fearReading(window);
+  const points = fearIndex().history(window.to - historyMs, window.to, window.to - window.from, stepMs);
+  // CSV carries the history, one row per reading with component percentiles
+  sendAs(req, res, ['json', 'csv'], {
+    json: () => ({
+      from: new Date(window.from).toISOString(),
+      to: new Date(window.to).toISOString(),
+      gauge: reading.label,
+      ...reading,
+      commodities: extractCommodities(loadScans(window)),
+      history: { bucket, points }
+    }),
+    csv: () => exporter.toCsv(
+      points.map(({ components, ...p }) => ({ ...p, ...components })),
+      ['at', 'score', 'label', 'scans', ...Object.keys(COMPONENTS)]
+    )
+  });
+}));
+
+// ── Scan Ingestion ───────────────────────────────────────
+
+const MAX_BATCH = 500;
+
+// Push one scan, a list of scans, or { scans: [...] }. Each is validated
+// against its format's schema and rejected when a scan with the same
+// timestamp is already stored; accepted scans are on disk and in every
+// brief before the response is sent. A single scan answers 201, 409, 400 or
+// 500 (couldn't be stored); a batch answers 200 with one result per scan.
+app.post('/api/scans', requireScope('ingest'), express.json({ limit: SCANS_BODY_LIMIT }), (req, res) => {
+  const body = req.body;
+  const single = !!body && typeof body === 'object' && !Array.isArray(body) && !Array.isArray(body.scans);
+  const raws = single ? [body] : Array.isArray(body) ? body : body?.scans;
+  if (!Array.isArray(raws) || !raws.length) return res.status(400).json({ error: 'expected a scan, a list of scans, or { scans: [...] }' });
+  if (raws.length > MAX_BATCH) return res.status(413).json({ error: `at most ${MAX_BATCH} scans per request` });
+
+  const results = store.add(raws);
+  const count = status => results.filter(r => r.status === status).length;
+  const summary = { accepted: count('accepted'), duplicates: count('duplicate'), invalid: count('invalid'), errors: count('error'), results };
+  if (!single) return res.json(summary);
+  res.status({ accepted: 201, duplicate: 409, invalid: 400, error: 500 }[results[0].status]).json(summary);
+});
+
+// ── Status ───────────────────────────────────────────────
+
+// Where the data came from: source, counts and range, parse failures, the
+// bundle's manifest with whether the file matched its checksum, and how
+// fresh the data is — age of the newest scan and gaps in the scan cadence
+app.get('/api/status', (req, res) => {
+  const status = store.status();
+  const { scans, oldest, newest, ...freshness } = dataHealth();
+  res.json({
+    ...status,
+    freshness,
+    failures: status.failures.length,
+    failureSamples: status.failures.slice(0, 20)
+  });
+});
+
+// ── Brief Archive ────────────────────────────────────────
+
+// :date is YYYY-MM-DD or "latest"; ?time=HH:MM picks one of the day's snapshots
+function archiveDate(req, res) {
+  const date = req.params.date === 'latest' ? archive.list()[0]?.date : req.params.date;
+  if (req.params.date !== 'latest' && !DATE_RE.test(date)) {
+    res.status(400).json({ error: 'date must be YYYY-MM-DD or latest' });
+    return null;
   }
-  
-  .commodity-name { width: 80px; color: var(--warn); }
-  .commodity-bar-bg {
-    flex: 1;
-    height: 6px;
-    background: var(--border);
-    border-radius: 3px;
-    overflow: hidden;
+  if (!date || !archive.get(date, req.query.time || null)) {
+    res.status(404).json({ error: 'no archived brief for that date' });
+    return null;
   }
-  .commodity-bar-fill {
-    height: 100%;
-    background: var(--warn);
-    border-radius: 3px;
-    opacity: 0.7;
+  return date;
+}
+
+app.get('/api/briefs', requireScope('brief'), (req, res) => {
+  res.json({ times: archive.times, briefs: archive.list().slice(0, parseInt(req.query.limit) || 60) });
+});
+
+app.get('/api/briefs/:date', requireScope('brief'), (req, res) => {
+  const date = archiveDate(req, res);
+  if (!date) return;
+  const snap = archive.get(date, req.query.time || null);
+  res.json({ date, time: snap.time, at: snap.at, ...briefFor(req, snap.brief) });
+});
+
+// Top-15 ticker churn, regime/fear moves and narrative turnover against the
+// previous archived day, or ?against=YYYY-MM-DD
+app.get('/api/briefs/:date/diff', requireScope('brief'), (req, res) => {
+  const date = archiveDate(req, res);
+  if (!date) return;
+  const against = req.query.against || null;
+  if (against !== null && !DATE_RE.test(against)) return res.status(400).json({ error: 'against must be YYYY-MM-DD' });
+  const diff = archive.diff(date, { time: req.query.time || null, against });
+  if (!diff.previous) return res.status(404).json({ error: against ? 'no archived brief for against' : 'no earlier archived brief to compare with' });
+  res.json(diff);
+});
+
+// ── Alerts ───────────────────────────────────────────────
+
+function sendRuleError(res, e) {
+  if (e instanceof RuleError) return res.status(400).json({ error: e.message });
+  throw e;
+}
+
+app.get('/api/alerts', requireScope('admin'), (req, res) => {
+  res.json({ rules: alerts.list() });
+});
+
+app.post('/api/alerts', requireScope('admin'), (req, res) => {
+  try {
+    res.status(201).json(alerts.create(req.body));
+  } catch (e) {
+    sendRuleError(res, e);
   }
-  .commodity-count { width: 40px; text-align: right; color: var(--dim); }
-  
-  .footer {
-    max-width: 900px;
-    margin: 0 auto;
-    padding: 0 2rem 2rem;
-    text-align: center;
+});
+
+app.get('/api/alerts/history', requireScope('brief'), (req, res) => {
+  const limit = parseInt(req.query.limit) || 50;
+  res.json({ alerts: alerts.history().slice(0, limit) });
+});
+
+// Evaluate all rules now against the current data (handy with a mock receiver)
+app.post('/api/alerts/evaluate', requireScope('admin'), async (req, res) => {
+  res.json({ fired: await alerts.evaluate() });
+});
+
+app.get('/api/alerts/:id', requireScope('admin'), (req, res) => {
+  const rule = alerts.get(req.params.id);
+  if (!rule) return res.status(404).json({ error: 'rule not found' });
+  res.json(rule);
+});
+
+app.patch('/api/alerts/:id', requireScope('admin'), (req, res) => {
+  try {
+    const rule = alerts.update(req.params.id, req.body);
+    if (!rule) return res.status(404).json({ error: 'rule not found' });
+    res.json(rule);
+  } catch (e) {
+    sendRuleError(res, e);
   }
-  
-  .footer p {
-    font-size: 0.75rem;
-    color: var(--dim);
-    opacity: 0.5;
+});
+
+app.delete('/api/alerts/:id', requireScope('admin'), (req, res) => {
+  try {
+    if (!alerts.remove(req.params.id)) return res.status(404).json({ error: 'rule not found' });
+    res.status(204).end();
+  } catch (e) {
+    sendRuleError(res, e);
   }
-  
-  .footer a { color: var(--accent); text-decoration: none; opacity: 0.7; }
-  .footer a:hover { opacity: 1; }
-  
-  .api-note {
-    font-family: 'JetBrains Mono', monospace;
-    font-size: 0.7rem;
-    color: var(--dim);
-    background: rgba(255,255,255,0.02);
-    padding: 0.75rem;
-    border-radius: 6px;
-    margin-top: 1rem;
-    opacity: 0.6;
+});
+
+// ── Ticker Registry ──────────────────────────────────────
+
+function sendRegistryError(res, e) {
+  if (e instanceof RegistryError) return res.status(400).json({ error: e.message });
+  throw e;
+}
+
+app.get('/api/registry', requireScope('brief'), (req, res) => {
+  const assetClass = req.query.class || null;
+  if (assetClass && !ASSET_CLASSES.includes(assetClass)) {
+    return res.status(400).json({ error: `class must be one of ${ASSET_CLASSES.join(', ')}` });
   }
-  
-  .api-note code {
-    color: var(--accent);
-    opacity: 0.8;
+  res.json({ classes: ASSET_CLASSES, tickers: registry.list({ class: assetClass }) });
+});
+
+app.get('/api/registry/:symbol', requireScope('brief'), (req, res) => {
+  const entry = registry.get(req.params.symbol);
+  if (!entry) return res.status(404).json({ error: 'ticker not in registry' });
+  res.json(entry);
+});
+
+// Upsert class, aliases, chain, contracts or name for a symbol
+app.put('/api/registry/:symbol', requireScope('admin'), (req, res) => {
+  try {
+    res.json(registry.set(req.params.symbol, req.body));
+  } catch (e) {
+    sendRegistryError(res, e);
   }
+});
+
+// Drop the admin override, falling back to tickers.json / scanner data
+app.delete('/api/registry/:symbol', requireScope('admin'), (req, res) => {
+  if (!registry.remove(req.params.symbol)) return res.status(404).json({ error: 'no admin override for this ticker' });
+  res.status(204).end();
+});
 
-  .time-controls {
-    display: flex;
-    gap: 0.5rem;
-    margin-top: 0.75rem;
+// ── API Keys ─────────────────────────────────────────────
+
+function sendKeyError(res, e) {
+  if (e instanceof KeyError) return res.status(400).json({ error: e.message });
+  throw e;
+}
+
+app.get('/api/keys', requireScope('admin'), (req, res) => {
+  res.json({ scopes: SCOPES, keys: keys.list() });
+});
+
+// { name, scopes, rateLimit?, quota? } → the record plus the key itself,
+// which is only ever returned here
+app.post('/api/keys', requireScope('admin'), (req, res) => {
+  try {
+    res.status(201).json(keys.issue(req.body));
+  } catch (e) {
+    sendKeyError(res, e);
   }
-  
-  .time-btn {
-    font-family: 'JetBrains Mono', monospace;
-    font-size: 0.7rem;
-    padding: 0.3rem 0.6rem;
-    border: 1px solid var(--border);
-    border-radius: 4px;
-    background: transparent;
-    color: var(--dim);
-    cursor: pointer;
-    text-decoration: none;
+});
+
+app.get('/api/keys/:id', requireScope('admin'), (req, res) => {
+  const key = keys.get(req.params.id);
+  if (!key) return res.status(404).json({ error: 'key not found' });
+  res.json(key);
+});
+
+app.delete('/api/keys/:id', requireScope('admin'), (req, res) => {
+  if (!keys.revoke(req.params.id)) return res.status(404).json({ error: 'key not found or already revoked' });
+  res.status(204).end();
+});
+
+// The caller's own scopes, limits and usage
+app.get('/api/usage', (req, res) => {
+  const p = req.principal;
+  if (p.anonymous) return res.json({ anonymous: true, scopes: p.scopes, rateLimit: p.rateLimit, quota: null });
+  if (p === ROOT) return res.json({ admin: true, scopes: p.scopes, rateLimit: null, quota: null });
+  res.json(keys.get(p.id));
+});
+
+// ── Time Series ──────────────────────────────────────────
+
+// Explicit from/to (ISO or epoch) plus a bucket size. Defaults to the 7 days
+// ending at the newest scan, so bundle-only deploys still get data.
+function parseSeriesQuery(query) {
+  const bucket = query.bucket || '1h';
+  const bucketMs = series.parseBucket(bucket);
+  if (!bucketMs) throw new Error(`bucket must be one of ${series.BUCKETS.join(', ')}`);
+  const newest = store.all().at(-1)?.ts ?? Date.now();
+  const to = query.to !== undefined ? parseTime(query.to) : newest;
+  if (to === null) throw new Error(`invalid to: ${query.to}`);
+  const from = query.from !== undefined ? parseTime(query.from) : to - 7 * 24 * 3600 * 1000;
+  if (from === null) throw new Error(`invalid from: ${query.from}`);
+  if (from > to) throw new Error('from must be before to');
+  return { from, to, bucket, bucketMs };
+}
+
+// JSON envelope, or ?format=csv / Accept: text/csv for one row per bucket
+function sendSeries(req, res, build) {
+  let opts, points;
+  try {
+    opts = parseSeriesQuery(req.query);
+    points = build(store.range(opts.from, opts.to), opts);
+  } catch (e) {
+    return res.status(400).json({ error: e.message });
+  }
+  sendAs(req, res, ['json', 'csv'], {
+    json: () => ({
+      from: new Date(opts.from).toISOString(),
+      to: new Date(opts.to).toISOString(),
+      bucket: opts.bucket,
+      points
+    }),
+    csv: () => exporter.toCsv(points)
+  });
+}
+
+// Regime per bucket with hysteresis, the transitions between regimes and
+// how long each held. ?confirm: buckets needed to switch; ?margin: how far
+// past a band edge (as a fraction) a bucket must land to count.
+app.get('/api/regime/history', requireScope('brief'), (req, res) => {
+  const hysteresis = { ...regimes.DEFAULTS };
+  try {
+    const opts = parseSeriesQuery({ bucket: '4h', ...req.query });
+    if (req.query.confirm !== undefined) {
+      hysteresis.confirm = Number(req.query.confirm);
+      if (!Number.isInteger(hysteresis.confirm) || hysteresis.confirm < 1) throw new Error('confirm must be an integer >= 1');
+    }
+    if (req.query.margin !== undefined) {
+      hysteresis.margin = Number(req.query.margin);
+      if (!(hysteresis.margin >= 0 && hysteresis.margin < 1)) throw new Error('margin must be between 0 and 1');
+    }
+    const timeline = regimes.regimeTimeline(store.range(opts.from, opts.to), opts, hysteresis);
+    res.json({
+      from: new Date(opts.from).toISOString(),
+      to: new Date(opts.to).toISOString(),
+      bucket: opts.bucket,
+      ...hysteresis,
+      ...timeline
+    });
+  } catch (e) {
+    res.status(400).json({ error: e.message });
   }
-  
-  .time-btn:hover, .time-btn.active {
-    border-color: var(--accent);
-    color: var(--accent);
+});
+
+app.get('/api/series/sentiment', requireScope('brief'), (req, res) => {
+  sendSeries(req, res, (scans, opts) => series.sentimentSeries(scans, opts));
+});
+
+app.get('/api/series/ticker/:symbol', requireScope('brief'), (req, res) => {
+  sendSeries(req, res, (scans, opts) => series.tickerSeries(scans, registry.namesFor(req.params.symbol), opts));
+});
+
+app.get('/api/series/keyword/:term', requireScope('brief'), (req, res) => {
+  sendSeries(req, res, (scans, opts) => series.keywordSeries(scans, req.params.term, opts));
+});
+
+// ── Search ───────────────────────────────────────────────
+
+// ?q= words, "phrases", $TICKER and @author; ?from/?to bound when a post was
+// first captured (a bare YYYY-MM-DD `to` includes that day); ?sort=recent or
+// engagement; ?limit (max 100) and ?offset page through the results
+function parseSearchQuery(query) {
+  const q = typeof query.q === 'string' ? query.q.trim() : '';
+  if (!q) throw new Error('q is required');
+  if (q.length > 500) throw new Error('q must be at most 500 characters');
+  const parsed = search.parseQuery(q);
+  if (search.isEmpty(parsed)) throw new Error('q needs a word, "phrase", $TICKER or @author');
+  if (parsed.terms.length + parsed.phrases.length > search.MAX_TERMS) {
+    throw new Error(`q can have at most ${search.MAX_TERMS} words and phrases`);
+  }
+  const bound = (name, endOfDay) => {
+    const raw = query[name];
+    if (raw === undefined || raw === '') return endOfDay ? Infinity : -Infinity;
+    const ts = parseTime(raw);
+    if (ts === null) throw new Error(`invalid ${name}: ${raw}`);
+    return endOfDay && DATE_RE.test(raw) ? ts + 24 * 3600 * 1000 - 1 : ts;
+  };
+  const from = bound('from', false);
+  const to = bound('to', true);
+  if (from > to) throw new Error('from must be before to');
+  const sort = query.sort || 'recent';
+  if (!Object.hasOwn(search.SORTS, sort)) throw new Error(`sort must be one of ${Object.keys(search.SORTS).join(', ')}`);
+  const limit = query.limit !== undefined ? Number(query.limit) : 20;
+  if (!(Number.isInteger(limit) && limit >= 1 && limit <= 100)) throw new Error('limit must be an integer from 1 to 100');
+  const offset = query.offset !== undefined ? Number(query.offset) : 0;
+  if (!(Number.isInteger(offset) && offset >= 0)) throw new Error('offset must be an integer >= 0');
+  return { q, parsed, from, to, sort, limit, offset };
+}
+
+function runSearch({ parsed, from, to, sort, limit, offset }) {
+  return searchIndex.search(parsed, { from, to, sort, limit, offset, resolve: registry.resolve });
+}
+
+// Captured posts matching the query, one per URL or text, with a snippet
+// and [start, end) offsets of the matches in it
+app.get('/api/search', requireScope('posts'), (req, res) => {
+  let query;
+  try {
+    query = parseSearchQuery(req.query);
+  } catch (e) {
+    return res.status(400).json({ error: e.message });
   }
+  const { total, results } = runSearch(query);
+  res.json({
+    q: query.q,
+    query: query.parsed,
+    from: Number.isFinite(query.from) ? new Date(query.from).toISOString() : null,
+    to: Number.isFinite(query.to) ? new Date(query.to).toISOString() : null,
+    sort: query.sort,
+    total,
+    offset: query.offset,
+    limit: query.limit,
+    results
+  });
+});
 
-  @media (max-width: 600px) {
-    .regime-card { grid-template-columns: 1fr; }
-    .header, .content { padding: 1rem; }
-    .ticker-grid { grid-template-columns: repeat(2, 1fr); }
+// ── Web Dashboard ────────────────────────────────────────
+
+// Pages go out with a strict Content-Security-Policy; see lib/html
+function sendPage(res, page, status = 200) {
+  res.status(status)
+    .set('Content-Security-Policy', CONTENT_SECURITY_POLICY)
+    .set('X-Content-Type-Options', 'nosniff')
+    .type('html')
+    .send(String(page));
+}
+
+// Freshness for the stale banner, with where the data is coming from
+function pageHealth() {
+  return { ...dataHealth(), source: store.status().source };
+}
+
+app.get('/', (req, res) => {
+  let window;
+  try {
+    window = parseWindow(req.query);
+  } catch (e) {
+    return sendPage(res, views.errorPage(e.message), 400);
+  }
+  // Regime strip: the week ending where this window ends
+  const stripFrom = window.to - 7 * 24 * 3600 * 1000;
+  // The last archived daily brief at this point in time against the day before
+  const lastSnap = archive.before(window.to);
+  sendPage(res, views.dashboardPage({
+    brief: briefFor(req, generateBrief(window)),
+    window,
+    hours: Number(req.query.hours) || 24,
+    newest: store.status().newest,
+    strip: regimes.regimeTimeline(store.range(stripFrom, window.to), { from: stripFrom, to: window.to, bucketMs: series.parseBucket('4h') }),
+    stripFrom,
+    vs: lastSnap && archive.diff(lastSnap.at.slice(0, 10), { time: lastSnap.time }),
+    health: pageHealth(),
+    search: searchForm(req)
+  }));
+});
+
+// ── Ticker Drill-down ────────────────────────────────────
+
+app.get('/ticker/:symbol', (req, res) => {
+  let window;
+  try {
+    window = parseWindow(req.query);
+  } catch (e) {
+    return sendPage(res, views.errorPage(e.message), 400);
+  }
+  sendPage(res, views.tickerPage({
+    t: tickerProfileFor(req, getTickerProfile(req.params.symbol, window)),
+    related: getRelatedTickers(req.params.symbol, window, { limit: 10 }),
+    window,
+    hours: Number(req.query.hours) || 24,
+    bucket: autoBucket(window).bucket,
+    health: pageHealth()
+  }));
+});
+
+// ── Search Page ──────────────────────────────────────────
+
+// Search box props for a page, or null when the caller can't read posts
+function searchForm(req, query = {}) {
+  if (!canReadPosts(req)) return null;
+  return { ...query, ...(req.query.api_key ? { api_key: req.query.api_key } : {}) };
+}
+
+// Same posts scope as /api/search: results are raw tweet text
+app.get('/search', requireScope('posts'), (req, res) => {
+  const form = searchForm(req, { q: req.query.q || '', from: req.query.from || '', to: req.query.to || '', sort: req.query.sort || 'recent' });
+  if (!form.q.trim()) return sendPage(res, views.searchPage({ form, index: searchIndex.stats() }));
+  let query;
+  try {
+    query = parseSearchQuery({ ...req.query, limit: 50 });
+  } catch (e) {
+    return sendPage(res, views.searchPage({ form, error: e.message, index: searchIndex.stats() }), 400);
   }
-</style>
-</head>
-<body>
-
-<div class="header">
-  <div class="header-inner">
-    <h1>📡 CT Intelligence — Daily Brief</h1>
-    <div class="subtitle">Automated Crypto Twitter intelligence from Phil's 477+ scan dataset</div>
-    <div class="generated">${brief.generatedHuman} · ${brief.scanCount} scans · ${brief.window} window</div>
-    <div class="time-controls">
-      <a class="time-btn ${hours === 8 ? 'active' : ''}" href="/?hours=8">8h</a>
-      <a class="time-btn ${hours === 24 ? 'active' : ''}" href="/?hours=24">24h</a>
-      <a class="time-btn ${hours === 48 ? 'active' : ''}" href="/?hours=48">48h</a>
-      <a class="time-btn ${hours === 168 ? 'active' : ''}" href="/?hours=168">7d</a>
-    </div>
-  </div>
-</div>
-
-<div class="content">
-
-  <!-- Regime Card -->
-  <div class="regime-card">
-    <div class="regime-item">
-      <div class="regime-label">Regime</div>
-      <div class="regime-value ${brief.regime.label.includes('BULL') ? 'bullish' : brief.regime.label.includes('BEAR') ? 'bearish' : 'neutral'}">${brief.regime.label}</div>
-      <div class="regime-detail">${brief.regime.sentiment.ratio}:1 ratio · ${brief.regime.sentiment.trend}</div>
-    </div>
-    <div class="regime-item">
-      <div class="regime-label">Sentiment</div>
-      <div class="regime-value" style="color: var(--text)">${brief.regime.sentiment.bull}% <span style="color:var(--accent)">↑</span> ${brief.regime.sentiment.bear}% <span style="color:var(--danger)">↓</span></div>
-      <div class="regime-detail">${brief.scanCount} scans analyzed</div>
-    </div>
-    <div class="regime-item">
-      <div class="regime-label">Fear Gauge</div>
-      <div class="regime-value ${brief.regime.fear === 'HIGH' || brief.regime.fear === 'EXTREME' ? 'fear-high' : 'fear-low'}">${brief.regime.fear}</div>
-      <div class="regime-detail">Gold: ${brief.commodities.find(c => c.name === 'gold')?.mentions || 0} mentions</div>
-    </div>
-  </div>
-
-  <!-- Tickers -->
-  <div class="section">
-    <h2>📊 Top Tickers</h2>
-    <div class="ticker-grid">
-      ${brief.tickers.map(t => `<div class="ticker"><span class="ticker-name">$${t.name}</span><span class="ticker-count">${t.mentions}</span></div>`).join('')}
-    </div>
-  </div>
-
-  <!-- Momentum -->
-  <div class="section">
-    <h2>📈 Momentum (Split-Half Comparison)</h2>
-    <div class="momentum-list">
-      ${brief.momentum.map(m => {
-        const isNew = m.change === 'NEW';
-        const isUp = !isNew && m.change > 0;
-        const dir = isNew ? 'new' : isUp ? 'up' : 'down';
-        const pct = isNew ? 50 : Math.min(Math.abs(m.change), 100);
-        return `<div class="momentum-item">
-          <span class="momentum-name">$${m.name}</span>
-          <div class="momentum-bar"><div class="momentum-fill ${dir}" style="width:${pct}%"></div></div>
-          <span class="momentum-change ${dir}">${isNew ? '🆕 NEW' : (isUp ? '+' : '') + m.change + '%'}</span>
-        </div>`;
-      }).join('')}
-    </div>
-  </div>
-
-  <!-- Narratives -->
-  ${brief.narratives.length ? `
-  <div class="section">
-    <h2>📡 Active Narratives</h2>
-    <div class="narrative-list">
-      ${brief.narratives.map(n => `<div class="narrative">
-        <span class="narrative-icon">${n.type}</span>
-        <span class="narrative-text">${n.label}</span>
-        <span class="narrative-strength">${n.strength} signals</span>
-      </div>`).join('')}
-    </div>
-  </div>` : ''}
-
-  <!-- Fear Gauge Detail -->
-  <div class="section">
-    <h2>🥇 Commodity & Macro Signals</h2>
-    <div class="commodity-bars">
-      ${brief.commodities.map(c => {
-        const maxMentions = brief.commodities[0]?.mentions || 1;
-        const pct = (c.mentions / maxMentions * 100).toFixed(0);
-        return `<div class="commodity-row">
-          <span class="commodity-name">${c.name}</span>
-          <div class="commodity-bar-bg"><div class="commodity-bar-fill" style="width:${pct}%"></div></div>
-          <span class="commodity-count">${c.mentions}</span>
-        </div>`;
-      }).join('')}
-    </div>
-  </div>
-
-  <!-- Top Posts -->
-  ${brief.topPosts.length ? `
-  <div class="section">
-    <h2>⚡ Highest Engagement Posts</h2>
-    <div class="post-list">
-      ${brief.topPosts.slice(0, 5).map(p => `<div class="post">
-        <div class="post-author">@${p.author || 'unknown'}</div>
-        <div class="post-text">${(p.text || '').substring(0, 200)}${(p.text || '').length > 200 ? '...' : ''}</div>
-        <div class="post-likes">❤️ ${(p.likes || 0).toLocaleString()}${p.url ? ` · <a href="${p.url}" target="_blank" style="color:var(--info);text-decoration:none;">View →</a>` : ''}</div>
-      </div>`).join('')}
-    </div>
-  </div>` : ''}
-
-  <!-- API -->
-  <div class="api-note">
-    📡 API available: <code>GET /api/brief</code> · <code>/api/brief/compact</code> · <code>/api/tickers</code> · <code>/api/fear</code><br>
-    Params: <code>?hours=24</code> (8, 24, 48, 168)
-  </div>
-
-</div>
-
-<div class="footer">
-  <p>Built by Phil · AI Agent Intelligence · <a href="https://phil-portfolio-production.up.railway.app">Portfolio</a></p>
-  <p style="margin-top:0.3rem">Data from 477+ CT scans across 15 days of autonomous monitoring</p>
-</div>
-
-</body>
-</html>`);
+  sendPage(res, views.searchPage({ form, query, ...runSearch(query), index: searchIndex.stats() }));
+});
+
+// ── Errors ───────────────────────────────────────────────
+
+// Body parser failures (malformed JSON, oversized bodies) and anything else
+// a route throws come back as JSON, never Express's HTML stack trace page
+app.use((err, req, res, next) => {
+  if (res.headersSent) return next(err);
+  if (err.type === 'entity.parse.failed') return res.status(400).json({ error: 'request body is not valid JSON' });
+  if (err.status >= 400 && err.status < 500) return res.status(err.status).json({ error: err.message });
+  console.log(`Request failed: ${req.method} ${req.path} — ${err.stack || err.message}`);
+  res.status(500).json({ error: 'internal error' });
 });
 
 // ── Start ────────────────────────────────────────────────
 
-app.listen(PORT, () => {
-  console.log(`CT Intelligence running on port ${PORT}`);
-  console.log(`Dashboard: http://localhost:${PORT}`);
-  console.log(`API: http://localhost:${PORT}/api/brief`);
+store.load().then(async () => {
+  registry.seed(store.all());
+  searchIndex.add(store.all());
+  // Prime rule state on what's already on disk without sending anything, and
+  // only then re-check on new data, so a boot never fires webhooks for old scans
+  await alerts.evaluate({ silent: true }).catch(e => console.log(`Alert priming failed: ${e.message}`));
+  store.on('ingest', () => {
+    alerts.evaluate().catch(e => console.log(`Alert evaluation failed: ${e.message}`));
+  });
+  store.watch();
+  archive.start();
+
+  app.listen(PORT, () => {
+    console.log(`CT Intelligence running on port ${PORT}`);
+    console.log(`Dashboard: http://localhost:${PORT}`);
+    console.log(`API: http://localhost:${PORT}/api/brief`);
+    // The pages only say the data is missing or stale; where to look goes here
+    const fresh = dataHealth();
+    if (fresh.status === 'empty') console.log(`No scan data loaded — check the scanner (${DATA_DIR}) or the bundle`);
+    else if (fresh.stale) console.log(`Scan data is stale: newest scan ${fresh.newest} (${store.status().source}; live dir ${DATA_DIR})`);
+  });
+}).catch(e => {
+  console.log(`Startup failed: ${e.stack || e.message}`);
+  process.exit(1);
 });
+
+// Usage counters are written lazily; don't lose the last few on shutdown
+for (const signal of ['SIGTERM', 'SIGINT']) {
+  process.once(signal, () => {
+    keys.flush();
+    process.exit(0);
+  });
+}
@@ -0,0 +1,128 @@
+// Alert webhook delivery against a local receiver: the JSON body that goes
+// out and the X-CT-Signature HMAC a receiver verifies it with
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { createAlertEngine } = require('../lib/alerts');
+
+const SECRET = 'test-secret';
+
+// Collects every POST as { headers, body }
+function startReceiver() {
+  const received = [];
+  const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', c => chunks.push(c));
+    req.on('end', () => {
+      received.push({ method: req.method, headers: req.headers, body: Buffer.concat(chunks).toString() });
+      res.end('ok');
+    });
+  });
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => resolve({ server, received, url: `http://127.0.0.1:${server.address().port}/hook` }));
+  });
+}
+
+// What a receiver does: HMAC-SHA256 over "<timestamp>.<raw body>"
+function verify(secret, headers, body) {
+  const expected = `sha256=${crypto.createHmac('sha256', secret).update(`${headers['x-ct-timestamp']}.${body}`).digest('hex')}`;
+  const given = String(headers['x-ct-signature'] || '');
+  return given.length === expected.length && crypto.timingSafeEqual(Buffer.from(given), Buffer.from(expected));
+}
+
+function engineWith(url, snapshot) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ct-alerts-'));
+  const alerts = createAlertEngine({ statePath: path.join(dir, 'alerts.json'), webhooks: [url], secret: SECRET, snapshot });
+  return { alerts, dir };
+}
+
+test('a firing rule posts a signed JSON alert to the webhook', async t => {
+  const { server, received, url } = await startReceiver();
+  let snap = { at: '2026-02-10T12:00:00.000Z', scans: 4, regime: 'NEUTRAL', fear: 'LOW', tickers: { BTC: 4 } };
+  const { alerts, dir } = engineWith(url, () => snap);
+  t.after(() => {
+    server.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const rule = alerts.create({ type: 'ticker-rate', ticker: '$btc', gt: 2, cooldownMinutes: 0 });
+  assert.deepEqual(await alerts.evaluate(), []);
+
+  snap = { ...snap, tickers: { BTC: 12 } };
+  const fired = await alerts.evaluate();
+  assert.equal(fired.length, 1);
+  assert.deepEqual(fired[0].deliveries, [{ url, ok: true, status: 200 }]);
+
+  assert.equal(received.length, 1);
+  const [hit] = received;
+  assert.equal(hit.method, 'POST');
+  assert.equal(hit.headers['content-type'], 'application/json');
+  assert.ok(verify(SECRET, hit.headers, hit.body), 'signature does not verify');
+  assert.ok(!verify('wrong-secret', hit.headers, hit.body));
+  assert.ok(!verify(SECRET, hit.headers, hit.body.replace('"BTC"', '"ETH"')), 'tampered body still verifies');
+
+  const body = JSON.parse(hit.body);
+  assert.equal(body.rule.id, rule.id);
+  assert.equal(body.rule.type, 'ticker-rate');
+  assert.equal(body.message, '$BTC at 3.00 mentions per scan (> 2)');
+  assert.equal(body.dataAsOf, snap.at);
+  assert.deepEqual(body.data, { ticker: 'BTC', mentions: 12, scans: 4, rate: 3 });
+
+  // Edge-triggered: still true on the next pass, so nothing new goes out
+  assert.deepEqual(await alerts.evaluate(), []);
+  assert.equal(received.length, 1);
+});
+
+test('silent priming records state without delivering', async t => {
+  const { server, received, url } = await startReceiver();
+  const snap = { at: '2026-02-10T12:00:00.000Z', scans: 2, regime: 'NEUTRAL', fear: 'LOW', tickers: { BTC: 10 } };
+  const { alerts, dir } = engineWith(url, () => snap);
+  t.after(() => {
+    server.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  alerts.create({ type: 'ticker-rate', ticker: 'BTC', gt: 0 });
+  assert.deepEqual(await alerts.evaluate({ silent: true }), []);
+  assert.deepEqual(await alerts.evaluate(), []);
+  assert.equal(received.length, 0);
+});
+
+test('an unreachable webhook is reported, not thrown', async t => {
+  const { server, url } = await startReceiver();
+  await new Promise(resolve => server.close(resolve));
+  const snap = { at: '2026-02-10T12:00:00.000Z', scans: 1, regime: 'NEUTRAL', fear: 'HIGH', tickers: {} };
+  const { alerts, dir } = engineWith(url, () => snap);
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  alerts.create({ type: 'fear', gte: 'HIGH' });
+  const [alert] = await alerts.evaluate();
+  assert.equal(alert.deliveries.length, 1);
+  assert.equal(alert.deliveries[0].ok, false);
+  assert.ok(alert.deliveries[0].error);
+});
+
+test('a condition held back by the cooldown fires once it is over', async t => {
+  const { server, received, url } = await startReceiver();
+  let snap = { at: '2026-02-10T12:00:00.000Z', scans: 1, regime: 'NEUTRAL', fear: 'HIGH', tickers: {} };
+  const { alerts, dir } = engineWith(url, () => snap);
+  t.after(() => {
+    server.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  alerts.create({ type: 'fear', gte: 'HIGH', cooldownMinutes: 60 });
+  const start = Date.parse('2026-02-10T12:00:00.000Z');
+  assert.equal((await alerts.evaluate({ now: start })).length, 1);
+
+  snap = { ...snap, fear: 'EXTREME' };
+  assert.deepEqual(await alerts.evaluate({ now: start + 30 * 60 * 1000 }), []);
+  const [late] = await alerts.evaluate({ now: start + 61 * 60 * 1000 });
+  assert.equal(late.message, 'Fear gauge at EXTREME');
+  assert.deepEqual(await alerts.evaluate({ now: start + 62 * 60 * 1000 }), []);
+  assert.equal(received.length, 2);
+});
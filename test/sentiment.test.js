@@ -0,0 +1,31 @@
+// Lexicon scorer against fixtures/sentiment-labeled.json: every 13th unique
+// captured tweet in the bundle (by URL, retweets and three posts with slurs
+// left out), labeled by hand for market lean without looking at the scorer
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { evaluate, scoreText } = require('../lib/sentiment');
+const labeled = require('../fixtures/sentiment-labeled.json');
+
+// Measured at 0.667 on this sample; a lexicon change that lowers it fails
+const MIN_ACCURACY = 0.65;
+
+test('labeled fixture scores at or above the accuracy floor', () => {
+  const result = evaluate(labeled);
+  assert.equal(result.total, labeled.length);
+  const misses = result.misses.map(m => `  ${m.expected} → ${m.got}: ${m.text}`).join('\n');
+  assert.ok(result.accuracy >= MIN_ACCURACY, `accuracy ${result.accuracy} < ${MIN_ACCURACY}\n${misses}`);
+});
+
+test('fixture covers every label', () => {
+  const labels = new Set(labeled.map(f => f.label));
+  for (const label of ['bullish', 'bearish', 'neutral']) assert.ok(labels.has(label), `no ${label} examples`);
+});
+
+test('evaluate reports each miss with what the scorer said', () => {
+  const text = 'wagmi. bottom is in, accumulating here';
+  const got = scoreText(text).label;
+  const wrong = got === 'bearish' ? 'bullish' : 'bearish';
+  const result = evaluate([{ text, label: wrong }]);
+  assert.equal(result.accuracy, 0);
+  assert.deepEqual(result.misses.map(m => [m.expected, m.got]), [[wrong, got]]);
+});